@@ -0,0 +1,82 @@
+// bgRemoval/colorKey.js
+// Colour-key fallback for plain studio/wall backgrounds; always available.
+// The key colour is the median of the border pixels, and only pixels connected
+// to the border are cleared, so a white shirt on a white wall survives.
+const { decodeImage, encodePng } = require("./image");
+
+const DEFAULT_TOLERANCE = 40; // RGB distance that is fully background
+const SOFTNESS = 24; // extra distance over which alpha ramps back to opaque
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[sorted.length >> 1];
+};
+
+const borderColour = ({ width, height, data }) => {
+  const channels = [[], [], []];
+  const push = (x, y) => {
+    const p = (y * width + x) * 4;
+    for (let c = 0; c < 3; c++) channels[c].push(data[p + c]);
+  };
+  const step = Math.max(1, Math.floor((width + height) / 500));
+  for (let x = 0; x < width; x += step) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 0; y < height; y += step) {
+    push(0, y);
+    push(width - 1, y);
+  }
+  return channels.map(median);
+};
+
+const available = () => ({ ok: true });
+
+const remove = async (file, { tolerance } = {}) => {
+  const img = decodeImage(file.buffer);
+  const { width, height, data } = img;
+  // 0 is a valid tolerance (exact key colour only); a blank form field is not
+  const requested = String(tolerance ?? "").trim() === "" ? NaN : Number(tolerance);
+  const tol = Math.min(255, Math.max(0, Number.isFinite(requested) ? requested : DEFAULT_TOLERANCE));
+  const limit = tol + SOFTNESS;
+  const [kr, kg, kb] = borderColour(img);
+
+  const distance = (i) => {
+    const p = i * 4;
+    return Math.hypot(data[p] - kr, data[p + 1] - kg, data[p + 2] - kb);
+  };
+
+  // flood fill from every border pixel through anything close to the key colour
+  const seen = new Uint8Array(width * height);
+  const stack = [];
+  const visit = (i) => {
+    if (seen[i]) return;
+    seen[i] = 1;
+    if (distance(i) < limit) stack.push(i);
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (stack.length) {
+    const i = stack.pop();
+    const d = distance(i);
+    const alpha = d <= tol ? 0 : (d - tol) / SOFTNESS;
+    data[i * 4 + 3] = Math.round(data[i * 4 + 3] * alpha);
+
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < width * (height - 1)) visit(i + width);
+  }
+
+  return encodePng(img);
+};
+
+module.exports = { name: "colorkey", label: "Colour key", available, remove };
@@ -0,0 +1,44 @@
+// bgRemoval/image.js
+// Minimal RGBA decode/encode so local providers don't need native image libs
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const isPng = (buf) => buf.length > 8 && buf.readUInt32BE(0) === 0x89504e47;
+const isJpeg = (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8;
+
+// -> { width, height, data } with data as RGBA bytes
+const decodeImage = (buffer) => {
+  if (isPng(buffer)) {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (isJpeg(buffer)) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+  }
+  throw httpError(415, "Local background removal supports JPEG and PNG only");
+};
+
+const encodePng = ({ width, height, data }) => {
+  const png = new PNG({ width, height });
+  png.data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return PNG.sync.write(png);
+};
+
+// bilinear sample of a single-channel plane at fractional (x, y)
+const samplePlane = (plane, w, h, x, y) => {
+  const fx = Math.min(w - 1, Math.max(0, x));
+  const fy = Math.min(h - 1, Math.max(0, y));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(w - 1, x0 + 1);
+  const y1 = Math.min(h - 1, y0 + 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const top = plane[y0 * w + x0] * (1 - tx) + plane[y0 * w + x1] * tx;
+  const bottom = plane[y1 * w + x0] * (1 - tx) + plane[y1 * w + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+};
+
+module.exports = { httpError, decodeImage, encodePng, samplePlane };
@@ -0,0 +1,38 @@
+// bgRemoval/index.js
+// Background-removal providers share one shape:
+//   { name, label, available() -> { ok, reason? }, remove(file, options) -> Promise<PNG Buffer> }
+const removebg = require("./removebg");
+const onnx = require("./onnx");
+const colorKey = require("./colorKey");
+const { httpError } = require("./image");
+
+// "auto" tries these in order
+const PROVIDERS = [removebg, onnx, colorKey];
+
+const listProviders = () =>
+  PROVIDERS.map((p) => ({ name: p.name, label: p.label, ...p.available() }));
+
+const defaultProvider = () => (process.env.BG_REMOVAL_PROVIDER || "auto").toLowerCase();
+
+/**
+ * pickProvider:
+ * - `requested` (request parameter) wins over BG_REMOVAL_PROVIDER, which defaults to "auto"
+ * - throws with status 400 for unknown names and 503 when the named provider isn't configured
+ */
+const pickProvider = (requested) => {
+  const name = (requested || defaultProvider()).toLowerCase();
+
+  // the colour key is always available, so auto never comes back empty-handed
+  if (name === "auto") return PROVIDERS.find((p) => p.available().ok);
+
+  const provider = PROVIDERS.find((p) => p.name === name);
+  if (!provider) {
+    const names = ["auto", ...PROVIDERS.map((p) => p.name)].join(", ");
+    throw httpError(400, `Unknown background-removal provider "${name}" (use one of: ${names})`);
+  }
+  const state = provider.available();
+  if (!state.ok) throw httpError(503, `${provider.label} is not available: ${state.reason}`);
+  return provider;
+};
+
+module.exports = { listProviders, defaultProvider, pickProvider };
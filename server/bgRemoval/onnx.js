@@ -0,0 +1,90 @@
+// bgRemoval/onnx.js
+// Local salient-object segmentation (U²-Net / ISNet style .onnx models).
+// onnxruntime-node is optional: `npm install onnxruntime-node` and set BG_ONNX_MODEL.
+const fs = require("fs");
+const { decodeImage, encodePng, samplePlane } = require("./image");
+
+const MEAN = [0.485, 0.456, 0.406];
+const STD = [0.229, 0.224, 0.225];
+
+let sessionPromise = null;
+
+const modelPath = () => process.env.BG_ONNX_MODEL;
+const inputSize = () => Number(process.env.BG_ONNX_SIZE) || 320;
+
+const available = () => {
+  try {
+    require.resolve("onnxruntime-node");
+  } catch {
+    return { ok: false, reason: "onnxruntime-node is not installed" };
+  }
+  if (!modelPath()) return { ok: false, reason: "BG_ONNX_MODEL is not set" };
+  if (!fs.existsSync(modelPath())) return { ok: false, reason: `model not found at ${modelPath()}` };
+  return { ok: true };
+};
+
+const getSession = () => {
+  if (!sessionPromise) {
+    const ort = require("onnxruntime-node");
+    sessionPromise = ort.InferenceSession.create(modelPath()).then((session) => ({ ort, session }));
+    sessionPromise.catch(() => {
+      sessionPromise = null; // let the next request retry
+    });
+  }
+  return sessionPromise;
+};
+
+// RGBA image -> normalised NCHW float tensor of size x size
+const toTensor = (ort, img, size) => {
+  const { width, height, data } = img;
+  const planes = [0, 1, 2].map((c) => {
+    const plane = new Float32Array(width * height);
+    for (let i = 0; i < plane.length; i++) plane[i] = data[i * 4 + c] / 255;
+    return plane;
+  });
+
+  const input = new Float32Array(3 * size * size);
+  const sx = width / size;
+  const sy = height / size;
+  for (let c = 0; c < 3; c++) {
+    const offset = c * size * size;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const v = samplePlane(planes[c], width, height, (x + 0.5) * sx - 0.5, (y + 0.5) * sy - 0.5);
+        input[offset + y * size + x] = (v - MEAN[c]) / STD[c];
+      }
+    }
+  }
+  return new ort.Tensor("float32", input, [1, 3, size, size]);
+};
+
+const remove = async (file) => {
+  const img = decodeImage(file.buffer);
+  const { ort, session } = await getSession();
+  const size = inputSize();
+
+  const results = await session.run({ [session.inputNames[0]]: toTensor(ort, img, size) });
+  const mask = results[session.outputNames[0]].data; // first output is the fused mask
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < size * size; i++) {
+    if (mask[i] < min) min = mask[i];
+    if (mask[i] > max) max = mask[i];
+  }
+  const range = max - min || 1;
+
+  const { width, height, data } = img;
+  const sx = size / width;
+  const sy = size / height;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const m = samplePlane(mask, size, size, (x + 0.5) * sx - 0.5, (y + 0.5) * sy - 0.5);
+      const i = (y * width + x) * 4 + 3;
+      data[i] = Math.round(data[i] * ((m - min) / range));
+    }
+  }
+  return encodePng(img);
+};
+
+module.exports = { name: "onnx", label: "Local ONNX model", available, remove };
@@ -0,0 +1,41 @@
+// bgRemoval/removebg.js
+// Hosted remove.bg API; needs REMOVEBG_API_KEY
+const fetch = require("node-fetch");
+const FormData = require("form-data");
+const { httpError } = require("./image");
+
+const available = () =>
+  process.env.REMOVEBG_API_KEY
+    ? { ok: true }
+    : { ok: false, reason: "REMOVEBG_API_KEY is not set" };
+
+const remove = async (file) => {
+  const form = new FormData();
+  form.append("image_file", file.buffer, {
+    filename: file.originalname,
+    contentType: file.mimetype,
+  });
+  form.append("size", "auto");
+  form.append("format", "png");
+
+  console.log("Sending to remove.bg...");
+
+  const response = await fetch("https://api.remove.bg/v1.0/removebg", {
+    method: "POST",
+    headers: {
+      "X-Api-Key": process.env.REMOVEBG_API_KEY,
+      ...form.getHeaders(),
+    },
+    body: form,
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    console.error("remove.bg error:", response.status, text);
+    throw httpError(response.status, text || "remove.bg request failed");
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+};
+
+module.exports = { name: "removebg", label: "remove.bg", available, remove };
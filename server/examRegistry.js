@@ -0,0 +1,241 @@
+// examRegistry.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const YAML = require("yaml");
+
+// -----------------------------
+// SCHEMA
+// one entry per exam: { photo, signature, thumb?, composite?, source, verifiedAt }
+// -----------------------------
+const DOC_TYPES = ["photo", "signature", "thumb"];
+const FORMATS = ["jpeg", "png", "webp"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const DOC_FIELDS = {
+  width: { type: "int", required: true, min: 1, max: 10000 },
+  height: { type: "int", required: true, min: 1, max: 10000 },
+  minKB: { type: "number", min: 0 },
+  maxKB: { type: "number", required: true, min: 1 },
+  exact: { type: "boolean" },
+  formats: { type: "formats" },
+  dpi: { type: "int", min: 50, max: 2400 },
+};
+
+const SLOT_FIELDS = {
+  x: { type: "int", required: true, min: 0 },
+  y: { type: "int", required: true, min: 0 },
+  width: { type: "int", required: true, min: 1 },
+  height: { type: "int", required: true, min: 1 },
+};
+
+const COMPOSITE_FIELDS = {
+  width: { type: "int", required: true, min: 1, max: 10000 },
+  height: { type: "int", required: true, min: 1, max: 10000 },
+  minKB: { type: "number", min: 0 },
+  maxKB: { type: "number", required: true, min: 1 },
+};
+
+const checkField = (value, rule) => {
+  switch (rule.type) {
+    case "int":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+      if (rule.type === "int" && !Number.isInteger(value)) return "must be an integer";
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "formats":
+      if (!Array.isArray(value) || value.length === 0) return "must be a non-empty list";
+      return value.every((f) => FORMATS.includes(f))
+        ? null
+        : `may only contain ${FORMATS.join(", ")}`;
+    default:
+      return "unknown rule";
+  }
+};
+
+// Validates `obj` against `fields`; returns [cleaned copy, errors]. Unknown keys are dropped.
+const checkObject = (obj, fields, where) => {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return [null, [`${where} must be an object`]];
+  }
+  const errors = [];
+  const out = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    if (obj[key] === undefined || obj[key] === null) {
+      if (rule.required) errors.push(`${where}.${key} is required`);
+      continue;
+    }
+    const err = checkField(obj[key], rule);
+    if (err) errors.push(`${where}.${key} ${err}`);
+    else out[key] = obj[key];
+  }
+  if (out.minKB !== undefined && out.maxKB !== undefined && out.minKB > out.maxKB) {
+    errors.push(`${where}.minKB must not exceed maxKB`);
+  }
+  return [out, errors];
+};
+
+/**
+ * validateExamEntry:
+ * - photo and signature are required; thumb and composite are optional
+ * - returns { value, errors }; `value` is null when anything is invalid
+ */
+const validateExamEntry = (name, entry) => {
+  const where = `"${name}"`;
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { value: null, errors: [`${where} must be an object`] };
+  }
+
+  const errors = [];
+  const value = {};
+  for (const type of DOC_TYPES) {
+    if (entry[type] === undefined) {
+      if (type !== "thumb") errors.push(`${where}.${type} is required`);
+      continue;
+    }
+    const [spec, errs] = checkObject(entry[type], DOC_FIELDS, `${where}.${type}`);
+    errors.push(...errs);
+    value[type] = spec;
+  }
+
+  if (entry.composite !== undefined) {
+    const [spec, errs] = checkObject(entry.composite, COMPOSITE_FIELDS, `${where}.composite`);
+    errors.push(...errs);
+    const slots = entry.composite?.slots;
+    if (!slots || typeof slots !== "object") {
+      errors.push(`${where}.composite.slots is required`);
+    } else if (spec) {
+      spec.slots = {};
+      for (const [slot, box] of Object.entries(slots)) {
+        if (!DOC_TYPES.includes(slot)) {
+          errors.push(`${where}.composite.slots.${slot} is not a known slot`);
+          continue;
+        }
+        const [cleanBox, boxErrs] = checkObject(box, SLOT_FIELDS, `${where}.composite.slots.${slot}`);
+        errors.push(...boxErrs);
+        spec.slots[slot] = cleanBox;
+      }
+    }
+    value.composite = spec;
+  }
+
+  if (entry.source !== undefined && typeof entry.source !== "string") {
+    errors.push(`${where}.source must be a string`);
+  }
+  if (entry.verifiedAt !== undefined && entry.verifiedAt !== null) {
+    if (typeof entry.verifiedAt !== "string" || !DATE_RE.test(entry.verifiedAt)) {
+      errors.push(`${where}.verifiedAt must be a YYYY-MM-DD date`);
+    }
+  }
+  value.source = entry.source;
+  value.verifiedAt = entry.verifiedAt ?? null;
+
+  return errors.length ? { value: null, errors } : { value, errors };
+};
+
+// -----------------------------
+// OVERRIDES FILE (JSON or YAML)
+// { "Exam": { photo: { maxKB: 60 }, verifiedAt: "2025-01-31" }, "Old Exam": null }
+// a null entry removes the exam; `replace: true` swaps the whole entry,
+// anything else is deep-merged per doc type
+// -----------------------------
+const readOverrides = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return {};
+  const text = fs.readFileSync(filePath, "utf8");
+  if (!text.trim()) return {};
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === ".yaml" || ext === ".yml" ? YAML.parse(text) : JSON.parse(text);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${filePath} must contain an object keyed by exam name`);
+  }
+  return data;
+};
+
+// Atomic write (temp file + rename) so the watcher never sees half a file
+const writeOverrides = (filePath, data) => {
+  const ext = path.extname(filePath).toLowerCase();
+  const text =
+    ext === ".yaml" || ext === ".yml" ? YAML.stringify(data) : `${JSON.stringify(data, null, 2)}\n`;
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmp, text, "utf8");
+  fs.renameSync(tmp, filePath);
+};
+
+const mergeEntry = (base, patch) => {
+  const out = { ...(base || {}) };
+  for (const [key, val] of Object.entries(patch)) {
+    const isSpec = (DOC_TYPES.includes(key) || key === "composite") && val && typeof val === "object";
+    out[key] = isSpec ? { ...(out[key] || {}), ...val } : val;
+  }
+  return out;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * buildRegistry:
+ * - layers: defaults -> generated (Gemini) -> overrides file
+ * - overrides without their own verifiedAt are dated by the file's mtime
+ * - every layer is validated; a bad entry is reported in `rejected` and the
+ *   previous layer's value for that exam is kept
+ * - returns { version, etag, builtAt, examSizes, rejected }
+ */
+const buildRegistry = ({ defaults, generated, generatedSource, overridesPath }) => {
+  const examSizes = {};
+  const rejected = [];
+
+  const apply = (layer, source, verifiedAt, merge) => {
+    for (const [name, entry] of Object.entries(layer || {})) {
+      if (entry === null) {
+        delete examSizes[name];
+        continue;
+      }
+      const candidate =
+        merge && !entry.replace ? mergeEntry(examSizes[name], entry) : { ...entry };
+      // the layer's own provenance wins over whatever it was merged onto
+      candidate.source = entry.source || source;
+      candidate.verifiedAt = entry.verifiedAt || verifiedAt;
+      const { value, errors } = validateExamEntry(name, candidate);
+      if (value) examSizes[name] = value;
+      else rejected.push({ exam: name, source, errors });
+    }
+  };
+
+  // built-in and model-generated values are unverified until a file override dates them
+  apply(defaults, "default", null, false);
+  if (generated) apply(generated, generatedSource || "generated", null, true);
+
+  if (overridesPath) {
+    try {
+      const mtime = fs.existsSync(overridesPath) ? fs.statSync(overridesPath).mtime : null;
+      const verifiedAt = mtime ? mtime.toISOString().slice(0, 10) : today();
+      apply(readOverrides(overridesPath), `file:${path.basename(overridesPath)}`, verifiedAt, true);
+    } catch (err) {
+      rejected.push({ exam: "*", source: overridesPath, errors: [err.message] });
+    }
+  }
+
+  const body = JSON.stringify(examSizes);
+  const version = crypto.createHash("sha256").update(body).digest("hex").slice(0, 16);
+  return {
+    version,
+    etag: `"${version}"`,
+    builtAt: new Date().toISOString(),
+    examSizes,
+    rejected,
+  };
+};
+
+module.exports = {
+  DOC_TYPES,
+  FORMATS,
+  validateExamEntry,
+  readOverrides,
+  writeOverrides,
+  buildRegistry,
+};
@@ -4,7 +4,16 @@ const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const fetch = require("node-fetch");
-const FormData = require("form-data");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  buildRegistry,
+  validateExamEntry,
+  readOverrides,
+  writeOverrides,
+} = require("./examRegistry");
+const { listProviders, defaultProvider, pickProvider } = require("./bgRemoval");
 
 // DEBUG: Log API Keys
 console.log("RemoveBG Key:", process.env.REMOVEBG_API_KEY ? "YES" : "NO");
@@ -15,87 +24,99 @@ const app = express();
 app.use(cors({ origin: true }));
 app.use(express.json());
 const PORT = process.env.PORT || 3001;
+const EXAM_OVERRIDES_FILE =
+  process.env.EXAM_OVERRIDES_FILE || path.join(__dirname, "exam-overrides.json");
 
 // -----------------------------
 // DEFAULT EXAM SIZES (20+ exams)
-// photo + signature with width/height/maxKB
+// photo + signature with width/height/minKB/maxKB
+// exact: output must be exactly width x height px
+// formats: allowed output formats ("jpeg" | "png" | "webp")
+// dpi (optional): print density to stamp into the file
+// thumb (optional): left thumb impression, same fields
+// composite (optional): { width, height, minKB, maxKB, slots: { photo, signature, thumb } }
+//   single-sheet layout; each slot is { x, y, width, height } in px
 // -----------------------------
 const DEFAULT_EXAM_SIZES = {
   "JEE Main": {
-    photo: { width: 350, height: 450, maxKB: 100 },
-    signature: { width: 160, height: 50, maxKB: 30 },
+    photo: { width: 350, height: 450, minKB: 10, maxKB: 100, exact: true, formats: ["jpeg"] },
+    signature: { width: 160, height: 50, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
   NEET: {
-    photo: { width: 350, height: 450, maxKB: 100 },
-    signature: { width: 160, height: 50, maxKB: 30 },
+    photo: { width: 350, height: 450, minKB: 10, maxKB: 100, exact: true, formats: ["jpeg"] },
+    signature: { width: 160, height: 50, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
   SSC: {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   "SSC CGL": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   UPSC: {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   "UPSC CSE": {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   GATE: {
-    photo: { width: 240, height: 320, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 20 },
+    photo: { width: 240, height: 320, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   "RRB NTPC": {
-    photo: { width: 300, height: 400, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 30 },
+    photo: { width: 300, height: 400, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
   "RRB Group D": {
-    photo: { width: 300, height: 400, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 30 },
+    photo: { width: 300, height: 400, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
   "Railway JE": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   "IBPS PO": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+    thumb: { width: 240, height: 240, minKB: 20, maxKB: 50, exact: true, formats: ["jpeg"], dpi: 200 },
   },
   "IBPS Clerk": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+    thumb: { width: 240, height: 240, minKB: 20, maxKB: 50, exact: true, formats: ["jpeg"], dpi: 200 },
   },
   "SBI PO": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+    thumb: { width: 240, height: 240, minKB: 20, maxKB: 50, exact: true, formats: ["jpeg"], dpi: 200 },
   },
   "SBI Clerk": {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+    thumb: { width: 240, height: 240, minKB: 20, maxKB: 50, exact: true, formats: ["jpeg"], dpi: 200 },
   },
   NDA: {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   CDS: {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   AFCAT: {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
   },
   "DRDO Tech": {
-    photo: { width: 300, height: 400, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 30 },
+    photo: { width: 300, height: 400, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
   DRDO: {
-    photo: { width: 300, height: 400, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 30 },
+    photo: { width: 300, height: 400, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
   },
 };
 
@@ -198,71 +219,152 @@ Rules:
 }
 
 // -----------------------------
-// CACHE EXAM SIZES ON STARTUP
+// EXAM SIZE REGISTRY
+// defaults -> Gemini -> overrides file, validated and versioned
 // -----------------------------
-let cachedExamSizes = null;
+let geminiExamSizes = null;
+let registry = null;
+
+const rebuildRegistry = () => {
+  registry = buildRegistry({
+    defaults: DEFAULT_EXAM_SIZES,
+    generated: geminiExamSizes,
+    generatedSource: "gemini",
+    overridesPath: EXAM_OVERRIDES_FILE,
+  });
+  registry.rejected.forEach((r) =>
+    console.error(`⚠️ Rejected exam sizes for ${r.exam} (${r.source}):`, r.errors.join("; "))
+  );
+  console.log(`📐 Exam sizes v${registry.version}:`, Object.keys(registry.examSizes));
+  return registry;
+};
 
 (async () => {
-  cachedExamSizes = await getExamSizesFromGemini();
-  console.log("📐 Initial exam sizes keys:", Object.keys(cachedExamSizes || {}));
+  const sizes = await getExamSizesFromGemini();
+  // getExamSizesFromGemini falls back to the defaults, which are already the base layer
+  geminiExamSizes = sizes === DEFAULT_EXAM_SIZES ? null : sizes;
+  rebuildRegistry();
 })();
 
+// hand edits to the overrides file are picked up without a restart
+// (watchFile polls, so it survives editors that save via rename)
+fs.watchFile(EXAM_OVERRIDES_FILE, { interval: 1000 }, (curr, prev) => {
+  if (curr.mtimeMs === prev.mtimeMs) return;
+  console.log("📝 Exam overrides file changed, rebuilding registry");
+  rebuildRegistry();
+});
+
 // -----------------------------
 // EXAM SIZES ENDPOINT
+// ETag = registry version; clients revalidate with If-None-Match
 // -----------------------------
-app.get("/api/exam-sizes", async (req, res) => {
+app.get("/api/exam-sizes", (req, res) => {
   try {
-    if (cachedExamSizes) {
-      return res.json({ examSizes: cachedExamSizes });
+    const current = registry || rebuildRegistry();
+    res.set("ETag", current.etag);
+    res.set("Cache-Control", "no-cache");
+    if (req.get("If-None-Match") === current.etag) {
+      return res.status(304).end();
     }
-    const sizes = await getExamSizesFromGemini();
-    cachedExamSizes = sizes;
-    res.json({ examSizes: sizes });
+    res.json({
+      version: current.version,
+      updatedAt: current.builtAt,
+      examSizes: current.examSizes,
+    });
   } catch (err) {
     console.error("Exam sizes endpoint error:", err);
     res.json({ examSizes: DEFAULT_EXAM_SIZES });
   }
 });
 
+// -----------------------------
+// EXAM SIZES ADMIN
+// Authorization: Bearer $ADMIN_TOKEN; writes go to the overrides file
+// -----------------------------
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ error: "Admin API disabled (ADMIN_TOKEN not set)" });
+
+  const given = Buffer.from((req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+};
+
+const saveOverride = (exam, entry) => {
+  const overrides = readOverrides(EXAM_OVERRIDES_FILE);
+  overrides[exam] = entry;
+  writeOverrides(EXAM_OVERRIDES_FILE, overrides);
+  return rebuildRegistry();
+};
+
+// POST creates, PUT replaces; both take a full entry ({ photo, signature, thumb?, ... })
+const upsertExam = (mustExist) => (req, res) => {
+  const { exam } = req.params;
+  const current = registry || rebuildRegistry();
+  const exists = Boolean(current.examSizes[exam]);
+  if (mustExist && !exists) return res.status(404).json({ error: `Unknown exam "${exam}"` });
+  if (!mustExist && exists) return res.status(409).json({ error: `Exam "${exam}" already exists` });
+
+  const body = { ...req.body, source: req.body?.source || "admin" };
+  const { value, errors } = validateExamEntry(exam, body);
+  if (!value) return res.status(400).json({ error: "Invalid exam sizes", details: errors });
+
+  try {
+    const next = saveOverride(exam, { ...value, replace: true });
+    res.status(mustExist ? 200 : 201).json({
+      version: next.version,
+      exam,
+      sizes: next.examSizes[exam],
+    });
+  } catch (err) {
+    console.error("Exam sizes write error:", err);
+    res.status(500).json({ error: "Could not save exam sizes" });
+  }
+};
+
+app.post("/api/exam-sizes/:exam", requireAdmin, upsertExam(false));
+app.put("/api/exam-sizes/:exam", requireAdmin, upsertExam(true));
+
+// a null override also hides built-in and Gemini entries for the exam
+app.delete("/api/exam-sizes/:exam", requireAdmin, (req, res) => {
+  const { exam } = req.params;
+  const current = registry || rebuildRegistry();
+  if (!current.examSizes[exam]) return res.status(404).json({ error: `Unknown exam "${exam}"` });
+
+  try {
+    const next = saveOverride(exam, null);
+    res.json({ version: next.version, exam, deleted: true });
+  } catch (err) {
+    console.error("Exam sizes write error:", err);
+    res.status(500).json({ error: "Could not save exam sizes" });
+  }
+});
+
 // ---------------------------------------------------------
-// REMOVE.BG PROXY (same as your existing code)
+// BACKGROUND REMOVAL
+// provider: `provider` field/query > BG_REMOVAL_PROVIDER > auto
 // ---------------------------------------------------------
+app.get("/api/remove-bg/providers", (req, res) => {
+  res.json({ default: defaultProvider(), providers: listProviders() });
+});
+
 app.post("/api/remove-bg", upload.single("image"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
-    const form = new FormData();
-    form.append("image_file", req.file.buffer, {
-      filename: req.file.originalname,
-      contentType: req.file.mimetype,
-    });
-    form.append("size", "auto");
-    form.append("format", "png");
-
-    console.log("Sending to remove.bg...");
-
-    const response = await fetch("https://api.remove.bg/v1.0/removebg", {
-      method: "POST",
-      headers: {
-        "X-Api-Key": process.env.REMOVEBG_API_KEY,
-        ...form.getHeaders(),
-      },
-      body: form,
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      console.error("remove.bg error:", response.status, text);
-      return res.status(response.status).send(text);
-    }
+    const provider = pickProvider(req.body?.provider || req.query.provider);
+    console.log(`Removing background with ${provider.label}...`);
+    const png = await provider.remove(req.file, { tolerance: req.body?.tolerance });
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
     res.set("Content-Type", "image/png");
-    res.send(buffer);
+    res.set("X-Bg-Provider", provider.name);
+    res.send(png);
   } catch (err) {
-    console.error("Proxy error:", err);
-    res.status(500).json({ error: "Proxy error" });
+    console.error("Background removal error:", err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : "Background removal failed" });
   }
 });
 
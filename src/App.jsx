@@ -3,9 +3,11 @@ import Home from "./Pages/Home";
 import Navbar from "./Components/Navbar";
 import ImageReduce from "./Components/ImageReduce";
 import Removebg from "./Components/Removebg";
+import CompositeSheet from "./Components/CompositeSheet";
 import MergePDF from "./Components/MergePDF";
 import SplitPDF from "./Components/SplitPDF";
 import CompressPDF from "./Components/CompressPDF";
+import ProtectPDF from "./Components/ProtectPdf";
 
 function App() {
   return (
@@ -17,10 +19,12 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/ImageReduce" element={<ImageReduce />} /> 
             <Route path="/remove-bg" element={<Removebg />} />
+            <Route path="/composite-sheet" element={<CompositeSheet />} />
             
             <Route path="/merge-pdf" element={<MergePDF />} />
             <Route path="/split-pdf" element={<SplitPDF />} />
             <Route path="/compress-pdf" element={<CompressPDF />} />
+            <Route path="/protect-pdf" element={<ProtectPDF />} />
           </Routes>
         </div>
       </>
@@ -0,0 +1,135 @@
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { Archive, Check, Loader, X } from "lucide-react";
+
+/**
+ * BatchResults
+ * - one row per image in ImageReduce's batch mode: output name, size and
+ *   pass/fail against the preset's KB limits
+ * - images without a preset limit show their size only
+ * - ZIP download of every processed image
+ */
+
+const StatusBadge = ({ item, hasLimits }) => {
+  if (item.status === "working") return <Loader className="w-4 h-4 text-blue-600 animate-spin" />;
+  if (item.status === "failed") {
+    return (
+      <span className="text-xs font-semibold text-red-600" title={item.error}>
+        Error
+      </span>
+    );
+  }
+  if (item.status !== "done") return <span className="text-xs text-gray-400">Waiting</span>;
+  if (!hasLimits) return <Check className="w-4 h-4 text-green-600" />;
+  return item.withinLimits ? (
+    <span className="text-xs font-semibold text-green-700 bg-green-100 rounded px-2 py-0.5">Pass</span>
+  ) : (
+    <span className="text-xs font-semibold text-amber-800 bg-amber-100 rounded px-2 py-0.5">Fail</span>
+  );
+};
+
+StatusBadge.propTypes = {
+  item: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    withinLimits: PropTypes.bool,
+    error: PropTypes.string,
+  }).isRequired,
+  hasLimits: PropTypes.bool,
+};
+
+const BatchResults = ({ items, minKB, maxKB, busy, progress, onRemove, onDownloadZip }) => {
+  const hasLimits = maxKB > 0 || minKB > 0;
+  const done = items.filter((i) => i.status === "done");
+  const passed = done.filter((i) => i.withinLimits).length;
+  const failed = items.filter((i) => i.status === "failed").length;
+
+  return (
+    <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} className="space-y-4">
+      <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-4 border border-blue-200 text-sm text-gray-700">
+        {done.length} of {items.length} processed
+        {hasLimits && done.length > 0 && (
+          <>
+            {" "}
+            • <span className="text-green-700 font-semibold">{passed} within limits</span>
+            {done.length - passed > 0 && (
+              <span className="text-amber-700 font-semibold"> • {done.length - passed} outside</span>
+            )}
+          </>
+        )}
+        {failed > 0 && <span className="text-red-600 font-semibold"> • {failed} failed</span>}
+        {hasLimits && (
+          <div className="text-xs text-gray-500 mt-1">
+            Limits: {minKB > 0 && `${minKB} KB – `}
+            {maxKB > 0 ? `${maxKB} KB max` : "no maximum"}
+          </div>
+        )}
+      </div>
+
+      <ul className="divide-y border rounded-lg max-h-96 overflow-y-auto">
+        {items.map((item) => (
+          <li key={item.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <div className="min-w-0 flex-1">
+              <p className="truncate text-gray-800" title={item.name || item.file.name}>
+                {item.name || item.file.name}
+              </p>
+              <p className="text-xs text-gray-500">
+                {(item.file.size / 1024).toFixed(1)} KB
+                {item.sizeKB !== undefined && ` → ${item.sizeKB} KB`}
+              </p>
+            </div>
+            <StatusBadge item={item} hasLimits={hasLimits} />
+            <button
+              type="button"
+              onClick={() => onRemove(item.id)}
+              disabled={busy}
+              className="text-gray-400 hover:text-red-600 disabled:opacity-40"
+              title="Remove"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={onDownloadZip}
+        disabled={busy || done.length === 0}
+        className="w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        {progress ? (
+          <>
+            <Loader className="w-5 h-5 animate-spin" />
+            {progress}
+          </>
+        ) : (
+          <>
+            <Archive className="w-5 h-5" />
+            Download ZIP ({done.length})
+          </>
+        )}
+      </button>
+    </motion.div>
+  );
+};
+
+BatchResults.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      file: PropTypes.instanceOf(File).isRequired,
+      status: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      sizeKB: PropTypes.number,
+      withinLimits: PropTypes.bool,
+      error: PropTypes.string,
+    })
+  ).isRequired,
+  minKB: PropTypes.number,
+  maxKB: PropTypes.number,
+  busy: PropTypes.bool,
+  progress: PropTypes.string,
+  onRemove: PropTypes.func.isRequired,
+  onDownloadZip: PropTypes.func.isRequired,
+};
+
+export default BatchResults;
@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { Viewer, Worker, SpecialZoomLevel } from "@react-pdf-viewer/core";
+import { zoomPlugin } from "@react-pdf-viewer/zoom";
+import { pageNavigationPlugin } from "@react-pdf-viewer/page-navigation";
+import { ZoomIn, ZoomOut, Maximize } from "lucide-react";
+import { LOCAL_DATA_OPTIONS, workerUrl } from "../utils/pdfjs";
+import "@react-pdf-viewer/core/lib/styles/index.css";
+
+/**
+ * ComparePreview
+ * - original and compressed PDF next to each other (stacked on small screens)
+ * - zoom and current page are kept in sync: changing either side, or the
+ *   shared toolbar, moves the other side too
+ * - the viewer runs on the app's legacy pdf.js build (vite.config aliases
+ *   pdfjs-dist to it), so it shares that build's worker
+ */
+
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+const SAME_SCALE = 0.001;
+
+const withLocalData = (options) => ({ ...options, ...LOCAL_DATA_OPTIONS });
+
+const ComparePreview = ({ original, compressedUrl, originalLabel, compressedLabel }) => {
+  const [originalUrl, setOriginalUrl] = useState(null);
+  const [numPages, setNumPages] = useState(0);
+  const [page, setPage] = useState(0); // 0-based, like the viewer
+  const [scale, setScale] = useState(null); // null until the first fit is known
+  const pageRef = useRef(0);
+  const scaleRef = useRef(null);
+
+  // one set of plugins per side
+  const zooms = [zoomPlugin(), zoomPlugin()];
+  const navs = [pageNavigationPlugin(), pageNavigationPlugin()];
+
+  useEffect(() => {
+    const url = URL.createObjectURL(original);
+    setOriginalUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [original]);
+
+  const zoomBoth = (next) => {
+    if (typeof next === "number") {
+      scaleRef.current = next;
+      setScale(next);
+    }
+    zooms.forEach((z) => z.zoomTo(next));
+  };
+
+  const goToPage = (index) => {
+    const next = Math.min(Math.max(0, index), Math.max(0, numPages - 1));
+    pageRef.current = next;
+    setPage(next);
+    navs.forEach((n) => n.jumpToPage(next));
+  };
+
+  // the viewers also report our own zoomTo/jumpToPage calls; those match the refs and stop here
+  const onZoom = (side) => ({ scale: next }) => {
+    if (scaleRef.current !== null && Math.abs(next - scaleRef.current) < SAME_SCALE) return;
+    scaleRef.current = next;
+    setScale(next);
+    zooms[1 - side].zoomTo(next);
+  };
+
+  const onPageChange = (side) => ({ currentPage }) => {
+    if (currentPage === pageRef.current) return;
+    pageRef.current = currentPage;
+    setPage(currentPage);
+    navs[1 - side].jumpToPage(currentPage);
+  };
+
+  const stepZoom = (direction) => {
+    const current = scaleRef.current ?? 1;
+    const next =
+      direction > 0
+        ? ZOOM_STEPS.find((s) => s > current + SAME_SCALE) ?? ZOOM_STEPS[ZOOM_STEPS.length - 1]
+        : [...ZOOM_STEPS].reverse().find((s) => s < current - SAME_SCALE) ?? ZOOM_STEPS[0];
+    zoomBoth(next);
+  };
+
+  const panes = [
+    { label: "Original", detail: originalLabel, url: originalUrl },
+    { label: "Compressed", detail: compressedLabel, url: compressedUrl },
+  ];
+
+  return (
+    <div className="mt-5 border rounded-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 px-3 py-2 bg-gray-50 border-b text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          Page
+          <input
+            type="number"
+            min="1"
+            max={numPages || 1}
+            value={page + 1}
+            onChange={(e) => goToPage(Number(e.target.value) - 1)}
+            className="w-16 border border-gray-300 rounded px-2 py-1"
+          />
+          <span className="text-gray-500">of {numPages || "..."}</span>
+        </label>
+
+        <div className="flex items-center gap-1">
+          <button onClick={() => stepZoom(-1)} className="p-1.5 rounded hover:bg-gray-200" title="Zoom out">
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <span className="w-14 text-center tabular-nums">{scale ? `${Math.round(scale * 100)}%` : "Fit"}</span>
+          <button onClick={() => stepZoom(1)} className="p-1.5 rounded hover:bg-gray-200" title="Zoom in">
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => zoomBoth(SpecialZoomLevel.PageFit)}
+            className="ml-1 p-1.5 rounded hover:bg-gray-200"
+            title="Fit page"
+          >
+            <Maximize className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <Worker workerUrl={workerUrl}>
+        <div className="grid grid-cols-1 md:grid-cols-2 md:divide-x">
+          {panes.map((pane, side) => (
+            <div key={pane.label} className="min-w-0">
+              <div className="px-3 py-1.5 text-xs text-gray-600 border-b flex justify-between gap-2">
+                <span className="font-semibold">{pane.label}</span>
+                <span className="truncate">{pane.detail}</span>
+              </div>
+              <div className="h-[32rem]">
+                {pane.url && (
+                  <Viewer
+                    fileUrl={pane.url}
+                    defaultScale={SpecialZoomLevel.PageFit}
+                    plugins={[zooms[side], navs[side]]}
+                    transformGetDocumentParams={withLocalData}
+                    onDocumentLoad={side === 1 ? (e) => setNumPages(e.doc.numPages) : undefined}
+                    onZoom={onZoom(side)}
+                    onPageChange={onPageChange(side)}
+                  />
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </Worker>
+    </div>
+  );
+};
+
+ComparePreview.propTypes = {
+  original: PropTypes.instanceOf(Blob).isRequired,
+  compressedUrl: PropTypes.string.isRequired,
+  originalLabel: PropTypes.string,
+  compressedLabel: PropTypes.string,
+};
+
+export default ComparePreview;
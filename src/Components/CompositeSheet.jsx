@@ -0,0 +1,413 @@
+import { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  Upload,
+  Download,
+  Loader,
+  AlertCircle,
+  Check,
+  LayoutGrid,
+} from "lucide-react";
+import useExamSizes from "../hooks/useExamSizes";
+import { buildCompositeLayout, SLOTS } from "../utils/compositeLayout";
+import { bytesToKB, drawFitted, fitToSize } from "../utils/imageFit";
+import { padJpegToSize } from "../utils/imageMeta";
+import { cleanSignature } from "../utils/signatureCleanup";
+
+/**
+ * CompositeSheet
+ * - takes photo, signature and left thumb impression
+ * - places them on one canvas using the exam's layout from /api/exam-sizes
+ * - exports a single JPEG searched down to the layout's size limit; layouts
+ *   built from the single-document presets have no limit and are labelled so
+ */
+
+const SLOT_LABELS = {
+  photo: "Photograph",
+  signature: "Signature",
+  thumb: "Left Thumb Impression",
+};
+
+// photos fill their box; ink on white is padded so nothing gets cut off
+const SLOT_FIT = { photo: "crop", signature: "pad", thumb: "pad" };
+
+// slot preview URL and decoded bitmap
+const releaseImage = (img) => {
+  URL.revokeObjectURL(img.url);
+  img.bitmap.close();
+};
+
+const CompositeSheet = () => {
+  const { examSizes, loading: examSizesLoading } = useExamSizes();
+  const [exam, setExam] = useState("");
+  const [images, setImages] = useState({}); // slot -> { name, url, bitmap }
+  const [cleanSig, setCleanSig] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null); // { url, sizeKB, quality, withinLimits }
+  const inputRefs = useRef({});
+
+  const layout = exam ? buildCompositeLayout(examSizes?.[exam]) : null;
+  const examOptions = Object.keys(examSizes).filter((k) =>
+    buildCompositeLayout(examSizes[k])
+  );
+
+  useEffect(() => {
+    return () => {
+      if (result?.url) URL.revokeObjectURL(result.url);
+    };
+  }, [result]);
+
+  // slot images outlive individual renders; release them once on unmount
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  useEffect(() => {
+    return () => {
+      Object.values(imagesRef.current).forEach(releaseImage);
+    };
+  }, []);
+
+  const handleFile = async (slot, file) => {
+    setError("");
+    if (!file) return;
+    if (!["image/jpeg", "image/png", "image/webp"].includes(file.type)) {
+      setError("Only JPG, PNG and WEBP are supported");
+      return;
+    }
+    try {
+      const bitmap = await createImageBitmap(file);
+      setImages((prev) => {
+        if (prev[slot]) releaseImage(prev[slot]);
+        return {
+          ...prev,
+          [slot]: { name: file.name, url: URL.createObjectURL(file), bitmap },
+        };
+      });
+      setResult(null);
+    } catch (err) {
+      console.error("Failed to read image", err);
+      setError(`Could not read ${file.name}`);
+    }
+  };
+
+  const generate = async () => {
+    setError("");
+    if (!layout) {
+      setError("Please select an exam first");
+      return;
+    }
+    const missing = SLOTS.filter((s) => layout.slots[s] && !images[s]);
+    if (missing.length > 0) {
+      setError(`Please add: ${missing.map((s) => SLOT_LABELS[s]).join(", ")}`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const sources = { ...images };
+      const sig = cleanSig && images.signature ? cleanSignature(images.signature.bitmap) : null;
+
+      const render = (w, h) => {
+        const k = w / layout.width;
+        const canvas = document.createElement("canvas");
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(0, 0, w, h);
+        ctx.strokeStyle = "#9ca3af";
+        ctx.lineWidth = Math.max(1, k);
+
+        SLOTS.forEach((slot) => {
+          const box = layout.slots[slot];
+          if (!box || !sources[slot]) return;
+          const src = slot === "signature" && sig ? sig : sources[slot].bitmap;
+          const x = Math.round(box.x * k);
+          const y = Math.round(box.y * k);
+          const bw = Math.round(box.width * k);
+          const bh = Math.round(box.height * k);
+          const cell = drawFitted(src, bw, bh, SLOT_FIT[slot]);
+          ctx.drawImage(cell, x, y);
+          ctx.strokeRect(x, y, bw, bh);
+          cell.width = 0;
+          cell.height = 0;
+        });
+        return canvas;
+      };
+
+      const fit = await fitToSize(null, {
+        width: layout.width,
+        height: layout.height,
+        mime: "image/jpeg",
+        maxKB: layout.maxKB,
+        minKB: layout.minKB,
+        render,
+        allowDownscale: false,
+      });
+
+      let blob = fit.blob;
+      if (layout.minKB && blob.size < layout.minKB * 1024) {
+        blob = await padJpegToSize(blob, layout.minKB * 1024);
+      }
+      const kb = blob.size / 1024;
+      setResult({
+        url: URL.createObjectURL(blob),
+        sizeKB: bytesToKB(blob.size),
+        quality: Math.round(fit.quality * 100),
+        withinLimits: (!layout.maxKB || kb <= layout.maxKB) && kb >= layout.minKB,
+      });
+    } catch (err) {
+      console.error("Composite failed:", err);
+      setError(err?.message || "Failed to build the composite image");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = () => {
+    if (!result) return;
+    const a = document.createElement("a");
+    a.href = result.url;
+    a.download = `${exam.replace(/\s+/g, "-").toLowerCase()}-composite.jpg`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  };
+
+  const reset = () => {
+    Object.values(images).forEach(releaseImage);
+    setImages({});
+    setResult(null);
+    setError("");
+    Object.values(inputRefs.current).forEach((el) => {
+      if (el) el.value = "";
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-6xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className="text-center mb-12"
+        >
+          <h1 className="text-4xl md:text-5xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-4">
+            Photo + Signature Sheet
+          </h1>
+          <p className="text-gray-600 text-lg">
+            Combine photo, signature and thumb impression into one exam-ready
+            image
+          </p>
+        </motion.div>
+
+        <div className="grid md:grid-cols-2 gap-8">
+          <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.5, delay: 0.1 }}
+            className="bg-white rounded-2xl shadow-lg p-8"
+          >
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">
+              Upload & Configure
+            </h2>
+
+            <label className="block text-gray-700 font-semibold mb-2">
+              Select Exam
+            </label>
+            <select
+              value={exam}
+              onChange={(e) => {
+                setExam(e.target.value);
+                setResult(null);
+              }}
+              disabled={examSizesLoading}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white shadow-sm disabled:bg-gray-100 disabled:text-gray-400"
+            >
+              <option value="">
+                {examSizesLoading ? "Loading exam sizes..." : "Choose an exam"}
+              </option>
+              {examOptions.map((k) => (
+                <option key={k} value={k}>
+                  {k}
+                </option>
+              ))}
+            </select>
+            {layout && (
+              <p className="text-xs text-gray-500 mt-1">
+                Sheet: {layout.width}×{layout.height} px
+                {layout.maxKB > 0 && `, Max ~${layout.maxKB} KB`}
+                {!layout.fromPreset &&
+                  ` (built from the photo/signature presets, no official format${
+                    layout.maxKB > 0 ? "; limit derived from their sizes" : ""
+                  })`}
+              </p>
+            )}
+
+            <div className="mt-6 space-y-3">
+              {SLOTS.map((slot) => (
+                <div
+                  key={slot}
+                  onClick={() => inputRefs.current[slot]?.click()}
+                  className="flex items-center gap-4 border-2 border-dashed border-blue-300 rounded-xl p-4 cursor-pointer bg-blue-50 hover:border-blue-500 transition"
+                >
+                  <div className="w-16 h-16 rounded-lg bg-white border flex items-center justify-center overflow-hidden flex-shrink-0">
+                    {images[slot] ? (
+                      <img
+                        src={images[slot].url}
+                        alt={SLOT_LABELS[slot]}
+                        className="max-w-full max-h-full object-contain"
+                      />
+                    ) : (
+                      <Upload className="w-6 h-6 text-blue-500" />
+                    )}
+                  </div>
+                  <div className="min-w-0">
+                    <p className="text-gray-700 font-semibold">{SLOT_LABELS[slot]}</p>
+                    <p className="text-gray-500 text-sm truncate">
+                      {images[slot]?.name || "Click to choose an image"}
+                    </p>
+                    {layout?.slots[slot] && (
+                      <p className="text-xs text-gray-400">
+                        {layout.slots[slot].width}×{layout.slots[slot].height} px
+                      </p>
+                    )}
+                  </div>
+                  <input
+                    ref={(el) => {
+                      inputRefs.current[slot] = el;
+                    }}
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => handleFile(slot, e.target.files?.[0])}
+                    className="hidden"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <label className="mt-6 flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={cleanSig}
+                onChange={(e) => setCleanSig(e.target.checked)}
+                className="mt-0.5 accent-blue-600"
+              />
+              <span>
+                <span className="font-semibold">Clean up signature</span>
+                <span className="block text-xs text-gray-500">
+                  Black ink on white, trimmed to the strokes
+                </span>
+              </span>
+            </label>
+
+            <AnimatePresence>
+              {error && (
+                <motion.div
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -10 }}
+                  className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4 flex items-center gap-3"
+                >
+                  <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                  <p className="text-red-700 text-sm">{error}</p>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            <div className="mt-6 flex gap-3">
+              <button
+                onClick={generate}
+                disabled={!layout || loading}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {loading ? (
+                  <>
+                    <Loader className="w-5 h-5 animate-spin" />
+                    Building...
+                  </>
+                ) : (
+                  <>
+                    <LayoutGrid className="w-5 h-5" />
+                    Build Sheet
+                  </>
+                )}
+              </button>
+              {Object.keys(images).length > 0 && (
+                <button
+                  onClick={reset}
+                  className="px-6 bg-gray-200 text-gray-700 font-semibold py-3 rounded-lg hover:bg-gray-300 transition"
+                >
+                  Reset
+                </button>
+              )}
+            </div>
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.5, delay: 0.1 }}
+            className="bg-white rounded-2xl shadow-lg p-8"
+          >
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">Result</h2>
+
+            {result ? (
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.3 }}
+                className="space-y-6"
+              >
+                <div className="bg-gray-200 rounded-lg p-4 flex items-center justify-center">
+                  <img src={result.url} alt="Composite" className="max-w-full object-contain" />
+                </div>
+
+                <div
+                  className={`rounded-lg p-4 border text-sm flex items-center gap-3 ${
+                    result.withinLimits
+                      ? "bg-green-50 border-green-200 text-green-800"
+                      : "bg-amber-50 border-amber-200 text-amber-800"
+                  }`}
+                >
+                  {result.withinLimits ? (
+                    <Check className="w-5 h-5 flex-shrink-0" />
+                  ) : (
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                  )}
+                  <p>
+                    {result.sizeKB} KB at quality {result.quality}%
+                    {layout?.maxKB > 0 &&
+                      (result.withinLimits
+                        ? ` (within ${layout.maxKB} KB)`
+                        : ` (over the ${layout.maxKB} KB limit)`)}
+                  </p>
+                </div>
+
+                <button
+                  onClick={download}
+                  className="w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition flex items-center justify-center gap-2"
+                >
+                  <Download className="w-5 h-5" />
+                  Download JPEG
+                </button>
+              </motion.div>
+            ) : (
+              <div className="bg-gray-50 rounded-lg p-8 flex flex-col items-center justify-center min-h-96">
+                <LayoutGrid className="w-16 h-16 text-gray-300 mb-4" />
+                <p className="text-gray-600 text-center">
+                  {loading
+                    ? "Building your sheet..."
+                    : "Choose an exam and add all three images to build the sheet"}
+                </p>
+              </div>
+            )}
+          </motion.div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompositeSheet;
@@ -2,21 +2,35 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { PDFDocument } from "pdf-lib";
 import { motion, AnimatePresence } from "framer-motion";
-import { CloudUpload, DownloadCloud, Loader, Trash2, AlertCircle } from "lucide-react";
-import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
-
-// Configure pdfjs worker (uses CDN)
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+import { CloudUpload, DownloadCloud, Loader, Trash2, AlertCircle, XCircle, Columns2 } from "lucide-react";
+import { optimizeInWorker, rasterizeInWorkers, startEstimator } from "../utils/compressWorkers";
+import { PRESETS, TARGET_LADDER, pickForTarget, settingsLabel } from "../utils/compressPresets";
+import { PdfPasswordError, unlockPdf } from "../utils/pdfSecurity";
+import usePasswordPrompt from "../hooks/usePasswordPrompt";
+import PasswordPrompt from "./PasswordPrompt";
+import ComparePreview from "./ComparePreview";
 
 /**
  * Single-file, production-ready React component that:
  * - reads a user-uploaded PDF
  * - optionally shows page count
- * - compresses by rasterizing each page (pdfjs -> canvas -> jpeg)
- * - builds a new PDF from JPEGs using pdf-lib
+ * - "structure" mode keeps text and vectors: downsamples images above a DPI
+ *   and drops duplicate/unused objects (see utils/pdfOptimize)
+ * - "raster" mode rasterizes each page (pdfjs -> canvas -> jpeg) and builds a
+ *   new PDF from the JPEGs using pdf-lib (see utils/pdfRaster)
+ * - both modes run in Web Workers (raster pages in parallel), so the tab stays
+ *   responsive and a run can be cancelled
+ * - presets (screen / ebook / print / custom) set DPI and JPEG quality; the
+ *   target-size preset walks down a quality ladder until the file fits
+ * - colour can be reduced to grayscale or 1-bit black & white (threshold or
+ *   dithered) for scans; each image/page gets the smallest encoding
+ *   (see utils/imageEncode)
+ * - a size estimate from a few sample pages is shown before the full run
+ * - the result can be compared with the original side by side, any page,
+ *   with synced zoom (see ComparePreview)
  *
- * Tradeoffs: rasterizes pages (loses selectable/searchable text), but provides
- * significant size savings for image-heavy PDFs.
+ * Tradeoffs: raster mode loses selectable/searchable text, but provides
+ * significant size savings for scanned or image-heavy PDFs.
  */
 
 const humanSize = (bytes) => {
@@ -32,6 +46,26 @@ const isPdfFile = (file) => {
   return file.name?.toLowerCase().endsWith(".pdf");
 };
 
+const MODES = [
+  { id: "structure", label: "Keep text", hint: "Optimizes images and removes duplicates. Stays searchable." },
+  { id: "raster", label: "Maximum", hint: "Turns every page into an image. Smallest, but text is no longer selectable." },
+];
+
+const COLORS = [
+  { id: "color", label: "Colour" },
+  { id: "gray", label: "Grayscale" },
+  { id: "mono", label: "Black & white" },
+];
+
+const BINARIZE_OPTIONS = [
+  { id: "threshold", label: "Threshold", hint: "Crisp text and lines; best for forms and documents" },
+  { id: "dither", label: "Dithered", hint: "Keeps shading in photos and stamps; larger files" },
+];
+
+const DPI_OPTIONS = [72, 96, 120, 150, 200, 300];
+const MAX_TARGET_RUNS = 3; // full compressions tried in target-size mode
+const ESTIMATE_DELAY = 400; // ms after the last settings change
+
 const CompressPDF = () => {
   const [file, setFile] = useState(null);
   const [pages, setPages] = useState(null);
@@ -43,7 +77,20 @@ const CompressPDF = () => {
   const [originalSize, setOriginalSize] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [pageProgress, setPageProgress] = useState({ current: 0, total: 0 }); // per-page progress
+  const [mode, setMode] = useState("structure");
+  const [preset, setPreset] = useState("ebook");
+  const [customDpi, setCustomDpi] = useState(150);
+  const [customQuality, setCustomQuality] = useState(0.7);
+  const [targetMb, setTargetMb] = useState(2);
+  const [color, setColor] = useState("color");
+  const [binarize, setBinarize] = useState("threshold");
+  const [showCompare, setShowCompare] = useState(false);
+  const [estimate, setEstimate] = useState(null); // { size, settings? } | "pending"
   const inputRef = useRef(null);
+  const estimatorRef = useRef(null);
+  const abortRef = useRef(null); // AbortController of the running compression
+  const readSeqRef = useRef(0); // only the newest readPdf may touch state
+  const { askPassword, promptProps } = usePasswordPrompt();
 
   useEffect(() => {
     return () => {
@@ -53,6 +100,7 @@ const CompressPDF = () => {
 
   const handleFileSet = (f) => {
     setError("");
+    setShowCompare(false);
     setResultUrl(null);
     setResultSize(null);
     setPages(null);
@@ -71,15 +119,29 @@ const CompressPDF = () => {
   };
 
   const readPdf = async (f) => {
+    // a file dropped while an older one waits for its password replaces it
+    const seq = ++readSeqRef.current;
+    const stale = () => seq !== readSeqRef.current;
     try {
       setProgress("Reading PDF...");
-      const arrayBuffer = await f.arrayBuffer();
+      // protected files are swapped for a decrypted copy before anything else reads them
+      const plain = await unlockPdf(f, askPassword);
+      if (stale()) return;
+      if (plain !== f) setFile(plain);
+      const arrayBuffer = await plain.arrayBuffer();
       const pdfDoc = await PDFDocument.load(arrayBuffer, { ignoreEncryption: true });
+      if (stale()) return;
       setPages(pdfDoc.getPageCount());
       setProgress("");
     } catch (err) {
+      if (stale()) return;
       console.error("readPdf error:", err);
-      setError("Failed to read PDF file. The file may be corrupted or unsupported.");
+      if (err instanceof PdfPasswordError) {
+        setFile(null);
+        setError(`${err.message} Enter its password to compress it.`);
+      } else {
+        setError("Failed to read PDF file. The file may be corrupted or unsupported.");
+      }
       setProgress("");
     }
   };
@@ -130,6 +192,7 @@ const CompressPDF = () => {
 
   const reset = () => {
     setFile(null);
+    setShowCompare(false);
     setPages(null);
     setResultUrl((prev) => {
       if (prev) URL.revokeObjectURL(prev);
@@ -144,87 +207,54 @@ const CompressPDF = () => {
     if (inputRef.current) inputRef.current.value = "";
   };
 
-  // Helper: convert dataURL (base64) to Uint8Array
-  const dataURLToUint8Array = (dataURL) => {
-    const base64 = dataURL.split(",")[1];
-    const binary = atob(base64);
-    const len = binary.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) bytes[i] = binary.charCodeAt(i);
-    return bytes;
-  };
+  // dpi/quality of the chosen preset; null in target-size mode, which picks its own
+  const fixedPreset = PRESETS.find((p) => p.id === preset);
+  const dpi = preset === "custom" ? customDpi : fixedPreset.dpi;
+  const quality = preset === "custom" ? customQuality : fixedPreset.quality;
+  const targetBytes = Math.max(0.1, Number(targetMb) || 0) * 1024 * 1024;
 
-  /**
-   * compressViaCanvas:
-   * - rasterizes each page using pdfjs-dist at reduced scale (maxWidth)
-   * - converts canvas to JPEG with given quality
-   * - embeds JPEGs into a new pdf-lib document
-   *
-   * options:
-   * - quality: 0.4 - 0.85 (lower => smaller file)
-   * - maxWidth: max pixel width for page render; scales down large pages
-   */
-  const compressViaCanvas = async (fileObj, { quality = 0.6, maxWidth = 1400 } = {}) => {
-    // load with pdfjs
-    const arrayBuffer = await fileObj.arrayBuffer();
-    const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-    const pdf = await loadingTask.promise;
-
-    setPageProgress({ current: 0, total: pdf.numPages });
-
-    const outPdf = await PDFDocument.create();
-
-    for (let p = 1; p <= pdf.numPages; ++p) {
-      setProgress(`Rendering page ${p}/${pdf.numPages}...`);
-      setPageProgress({ current: p, total: pdf.numPages });
-
-      const page = await pdf.getPage(p);
-      const viewport = page.getViewport({ scale: 1 });
-
-      // determine scale to limit width
-      const scale = Math.min(1, maxWidth / viewport.width);
-      const scaledViewport = page.getViewport({ scale });
-
-      // create canvas
-      const canvas = document.createElement("canvas");
-      canvas.width = Math.round(scaledViewport.width);
-      canvas.height = Math.round(scaledViewport.height);
-      const ctx = canvas.getContext("2d");
-
-      // render
-      const renderContext = {
-        canvasContext: ctx,
-        viewport: scaledViewport,
-      };
-
-      await page.render(renderContext).promise;
-
-      // convert to JPEG dataURL
-      const jpegDataUrl = canvas.toDataURL("image/jpeg", quality);
-      const bytes = dataURLToUint8Array(jpegDataUrl);
-
-      // embed into output PDF
-      const embeddedImage = await outPdf.embedJpg(bytes);
-      const { width: imgW, height: imgH } = embeddedImage.scale(1);
-
-      const newPage = outPdf.addPage([imgW, imgH]);
-      newPage.drawImage(embeddedImage, {
-        x: 0,
-        y: 0,
-        width: imgW,
-        height: imgH,
-      });
+  // stop workers if the user leaves mid-run
+  useEffect(() => () => abortRef.current?.abort(), []);
 
-      // free canvas memory
-      canvas.width = 0;
-      canvas.height = 0;
-    }
+  // one estimator worker per file; it keeps the parsed document between estimates
+  useEffect(() => {
+    if (!file) return undefined;
+    const estimator = startEstimator(file);
+    estimatorRef.current = estimator;
+    return () => {
+      estimator.destroy();
+      if (estimatorRef.current === estimator) estimatorRef.current = null;
+    };
+  }, [file]);
 
-    setProgress("Finalizing...");
-    const outBytes = await outPdf.save();
-    const outBlob = new Blob([outBytes], { type: "application/pdf" });
-    return outBlob;
-  };
+  // live size estimate, debounced while the user adjusts settings
+  useEffect(() => {
+    const estimator = estimatorRef.current;
+    if (!file || !estimator) return undefined;
+    let cancelled = false;
+    setEstimate("pending");
+
+    const timer = setTimeout(async () => {
+      try {
+        const next =
+          preset === "target"
+            ? await pickForTarget(estimator, mode, targetBytes, 0, { color, binarize }).then(({ index, estimate: size }) => ({
+                size,
+                settings: TARGET_LADDER[index],
+              }))
+            : { size: await estimator.estimate(mode, { dpi, quality, color, binarize }) };
+        if (!cancelled) setEstimate(next);
+      } catch (err) {
+        console.warn("estimate error:", err);
+        if (!cancelled) setEstimate(null);
+      }
+    }, ESTIMATE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [file, mode, preset, dpi, quality, targetBytes, color, binarize]);
 
   const compress = useCallback(async () => {
     setError("");
@@ -235,17 +265,63 @@ const CompressPDF = () => {
 
     setIsProcessing(true);
     setProgress("Starting compression...");
+    setShowCompare(false);
     setResultUrl(null);
     setResultSize(null);
     setPageProgress({ current: 0, total: 0 });
 
-    try {
-      // Tweak quality & maxWidth to balance size vs quality
-      const quality = 0.6; // 0.4 - 0.85
-      const maxWidth = 1400; // pixels
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    const runOnce = (settings) =>
+      mode === "structure"
+        ? optimizeInWorker(file, {
+            maxDpi: settings.dpi,
+            quality: settings.quality,
+            color,
+            binarize,
+            signal,
+            onProgress: setProgress,
+          })
+        : rasterizeInWorkers(file, {
+            ...settings,
+            color,
+            binarize,
+            signal,
+            onPage: (current, total) => {
+              setProgress(current < total ? `Rendering pages (${current}/${total} done)...` : "Finalizing...");
+              setPageProgress({ current, total });
+            },
+          });
 
-      // Perform canvas-based compression
-      const outBlob = await compressViaCanvas(file, { quality, maxWidth });
+    try {
+      let outBlob;
+      if (preset === "target") {
+        // estimates pick a starting point; a full run that still misses steps further down
+        const estimator = estimatorRef.current || startEstimator(file);
+        try {
+          let start = 0;
+          for (let run = 0; run < MAX_TARGET_RUNS && start < TARGET_LADDER.length; run++) {
+            setProgress("Choosing settings for the target size...");
+            const { index } = await pickForTarget(estimator, mode, targetBytes, start, { color, binarize });
+            const out = await runOnce(TARGET_LADDER[index]);
+            if (!outBlob || out.size < outBlob.size) outBlob = out;
+            if (out.size <= targetBytes) break;
+            start = index + 1;
+          }
+        } finally {
+          if (estimator !== estimatorRef.current) estimator.destroy();
+        }
+        if (outBlob.size > targetBytes) {
+          setError(
+            `Couldn't get under ${humanSize(targetBytes)}; the smallest result is ${humanSize(outBlob.size)}.` +
+              (mode === "structure" ? ' Try the "Maximum" mode for scanned documents.' : "")
+          );
+        }
+      } else {
+        outBlob = await runOnce({ dpi, quality });
+      }
 
       const url = URL.createObjectURL(outBlob);
       setResultUrl((prev) => {
@@ -253,19 +329,24 @@ const CompressPDF = () => {
         return url;
       });
       setResultSize(outBlob.size);
-      setProgress("Completed");
+      setProgress(outBlob === file ? "Already optimized: nothing left to save" : "Completed");
       console.log("Original size:", originalSize, "Compressed size:", outBlob.size);
     } catch (err) {
-      console.error("compress error:", err);
-      setError("Compression failed. Try a different PDF or use server-side tools for heavier compression.");
+      if (err.name === "AbortError") {
+        setProgress("Cancelled");
+      } else {
+        console.error("compress error:", err);
+        setError("Compression failed. Try a different PDF or use server-side tools for heavier compression.");
+      }
     } finally {
+      abortRef.current = null;
       setIsProcessing(false);
       setTimeout(() => {
         setProgress("");
         setPageProgress({ current: 0, total: 0 });
       }, 1200);
     }
-  }, [file, originalSize]);
+  }, [file, originalSize, mode, preset, dpi, quality, targetBytes, color, binarize]);
 
   const compressionPercent = originalSize && resultSize
     ? ((1 - resultSize / originalSize) * 100).toFixed(1)
@@ -281,7 +362,7 @@ const CompressPDF = () => {
         Compress PDF
       </motion.h2>
       <p className="text-sm text-gray-600 mb-4">
-        Client-side raster compression (pdfjs + pdf-lib). This converts pages to images and rebuilds the PDF.
+        Client-side compression (pdfjs + pdf-lib). Your file never leaves the browser.
       </p>
 
       <div
@@ -315,6 +396,142 @@ const CompressPDF = () => {
         </div>
       </div>
 
+      <div className="mt-4 grid grid-cols-2 gap-2">
+        {MODES.map((m) => (
+          <button
+            key={m.id}
+            onClick={() => setMode(m.id)}
+            className={`text-left p-3 rounded border transition ${
+              mode === m.id ? "border-purple-500 bg-purple-50" : "border-gray-200 hover:border-gray-300"
+            }`}
+          >
+            <div className="text-sm font-semibold text-gray-800">{m.label}</div>
+            <div className="text-xs text-gray-500 mt-0.5">{m.hint}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-semibold text-gray-700 mb-2">Quality preset</div>
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+          {PRESETS.map((p) => (
+            <button
+              key={p.id}
+              onClick={() => setPreset(p.id)}
+              title={p.hint}
+              className={`px-2 py-2 rounded border text-sm font-medium transition ${
+                preset === p.id ? "border-purple-500 bg-purple-50 text-purple-700" : "border-gray-200 text-gray-700 hover:border-gray-300"
+              }`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+        <div className="text-xs text-gray-500 mt-1">
+          {PRESETS.find((p) => p.id === preset).hint}
+          {fixedPreset.dpi && preset !== "custom" && ` (${settingsLabel({ dpi, quality })})`}
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-semibold text-gray-700 mb-2">Colour</div>
+        <div className="grid grid-cols-3 gap-2">
+          {COLORS.map((c) => (
+            <button
+              key={c.id}
+              onClick={() => setColor(c.id)}
+              className={`px-2 py-2 rounded border text-sm font-medium transition ${
+                color === c.id ? "border-purple-500 bg-purple-50 text-purple-700" : "border-gray-200 text-gray-700 hover:border-gray-300"
+              }`}
+            >
+              {c.label}
+            </button>
+          ))}
+        </div>
+        {color === "mono" && (
+          <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            {BINARIZE_OPTIONS.map((b) => (
+              <label key={b.id} className="flex items-center gap-1.5" title={b.hint}>
+                <input
+                  type="radio"
+                  name="binarize"
+                  value={b.id}
+                  checked={binarize === b.id}
+                  onChange={() => setBinarize(b.id)}
+                  className="accent-purple-600"
+                />
+                {b.label}
+              </label>
+            ))}
+            <span className="text-xs text-gray-500">{BINARIZE_OPTIONS.find((b) => b.id === binarize).hint}</span>
+          </div>
+        )}
+        {color !== "color" && (
+          <div className="text-xs text-gray-500 mt-1">
+            {mode === "structure"
+              ? "Photos and scans are converted; text and vector graphics keep their colours."
+              : "Every page is converted, which suits scanned forms."}
+          </div>
+        )}
+      </div>
+
+      {preset === "custom" && (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            {mode === "structure" ? "Downsample images above" : "Render at"}
+            <select value={customDpi} onChange={(e) => setCustomDpi(Number(e.target.value))} className="border border-gray-300 rounded px-2 py-1">
+              {DPI_OPTIONS.map((d) => (
+                <option key={d} value={d}>
+                  {d} DPI
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            JPEG quality {Math.round(customQuality * 100)}%
+            <input
+              type="range"
+              min="0.3"
+              max="0.95"
+              step="0.05"
+              value={customQuality}
+              onChange={(e) => setCustomQuality(Number(e.target.value))}
+              className="flex-1 accent-purple-600"
+            />
+          </label>
+        </div>
+      )}
+
+      {preset === "target" && (
+        <label className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+          Get this under
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={targetMb}
+            onChange={(e) => setTargetMb(e.target.value)}
+            className="w-24 border border-gray-300 rounded px-2 py-1"
+          />
+          MB
+        </label>
+      )}
+
+      {file && estimate && (
+        <div className="mt-3 text-sm text-gray-600 bg-gray-50 border rounded px-3 py-2">
+          {estimate === "pending" ? (
+            "Estimating output size from sample pages..."
+          ) : (
+            <>
+              Estimated output: <strong>~{humanSize(estimate.size)}</strong>
+              {originalSize > 0 && ` (${estimate.size < originalSize ? "-" : "+"}${Math.abs(Math.round((1 - estimate.size / originalSize) * 100))}%)`}
+              {estimate.settings && ` at ${settingsLabel(estimate.settings)}`}
+              {preset === "target" && estimate.size > targetBytes && " (may not reach the target)"}
+            </>
+          )}
+        </div>
+      )}
+
       <div className="mt-4 flex gap-3 items-center">
         <button
           onClick={compress}
@@ -330,12 +547,21 @@ const CompressPDF = () => {
           )}
         </button>
 
-        <button
-          onClick={reset}
-          className="px-4 py-2 rounded bg-gray-100 hover:bg-gray-200 inline-flex items-center gap-2"
-        >
-          <Trash2 /> Reset
-        </button>
+        {isProcessing ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-4 py-2 rounded bg-red-50 text-red-700 hover:bg-red-100 inline-flex items-center gap-2"
+          >
+            <XCircle /> Cancel
+          </button>
+        ) : (
+          <button
+            onClick={reset}
+            className="px-4 py-2 rounded bg-gray-100 hover:bg-gray-200 inline-flex items-center gap-2"
+          >
+            <Trash2 /> Reset
+          </button>
+        )}
 
         {resultUrl && (
           <a
@@ -346,6 +572,17 @@ const CompressPDF = () => {
             <DownloadCloud /> Download
           </a>
         )}
+
+        {resultUrl && !isProcessing && (
+          <button
+            onClick={() => setShowCompare((v) => !v)}
+            className={`px-4 py-2 rounded inline-flex items-center gap-2 ${
+              showCompare ? "bg-purple-100 text-purple-700" : "bg-gray-100 hover:bg-gray-200"
+            }`}
+          >
+            <Columns2 /> Compare
+          </button>
+        )}
       </div>
 
       <AnimatePresence>
@@ -358,8 +595,16 @@ const CompressPDF = () => {
           >
             {progress}
             {pageProgress.total > 0 && (
-              <div className="mt-1 text-xs text-gray-500">
-                Page {pageProgress.current} of {pageProgress.total}
+              <div className="mt-1">
+                <div className="h-1.5 rounded bg-gray-200 overflow-hidden">
+                  <div
+                    className="h-full bg-purple-600 transition-all"
+                    style={{ width: `${(pageProgress.current / pageProgress.total) * 100}%` }}
+                  />
+                </div>
+                <div className="mt-1 text-xs text-gray-500">
+                  {pageProgress.current} of {pageProgress.total} pages done
+                </div>
               </div>
             )}
           </motion.div>
@@ -404,10 +649,22 @@ const CompressPDF = () => {
         </div>
       </div>
 
+      {showCompare && resultUrl && file && (
+        <ComparePreview
+          key={resultUrl}
+          original={file}
+          compressedUrl={resultUrl}
+          originalLabel={humanSize(originalSize)}
+          compressedLabel={`${humanSize(resultSize)} (${compressionPercent > 0 ? "-" : "+"}${Math.abs(compressionPercent)}%)`}
+        />
+      )}
+
       <div className="mt-4 text-xs text-gray-500">
-        Note: This client-side method rasterizes pages (text will no longer be selectable). For
-        searchable PDFs or better quality preservation use server-side tools like Ghostscript.
+        {mode === "raster"
+          ? "Note: Maximum mode rasterizes pages (text will no longer be selectable). Use Keep text for searchable PDFs."
+          : "Note: Keep text only re-encodes photos and scans drawn above the chosen DPI; text, vector graphics and links are untouched."}
       </div>
+      <PasswordPrompt {...promptProps} />
     </div>
   );
 };
@@ -0,0 +1,114 @@
+import { useRef } from "react";
+import PropTypes from "prop-types";
+import { clampCrop } from "../utils/faceCrop";
+
+/**
+ * CropBox
+ * - shows the source image with a crop rectangle locked to `aspect`
+ * - drag inside the box to move it, drag the corner handle to resize
+ * - `value` / `onChange` use source pixel coordinates { x, y, width, height }
+ * - handle events bubble to the box, which owns move/up for both modes
+ */
+
+const MIN_CROP_PX = 40;
+
+const CropBox = ({ src, imageWidth, imageHeight, aspect, value, onChange }) => {
+  const frameRef = useRef(null);
+  const dragRef = useRef(null); // { mode, startX, startY, start }
+
+  // screen px -> source px
+  const toSource = () => {
+    const rect = frameRef.current?.getBoundingClientRect();
+    return rect ? imageWidth / rect.width : 1;
+  };
+
+  const onPointerDown = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, start: value };
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const k = toSource();
+    const dx = (e.clientX - drag.startX) * k;
+    const dy = (e.clientY - drag.startY) * k;
+    const { start } = drag;
+
+    if (drag.mode === "move") {
+      onChange(
+        clampCrop({ ...start, x: start.x + dx, y: start.y + dy }, imageWidth, imageHeight, aspect)
+      );
+      return;
+    }
+
+    // resize from the bottom-right corner, keeping the aspect ratio
+    const grow = Math.abs(dx) > Math.abs(dy) * aspect ? dx : dy * aspect;
+    const maxW = Math.min(imageWidth - start.x, (imageHeight - start.y) * aspect);
+    const width = Math.min(maxW, Math.max(MIN_CROP_PX, start.width + grow));
+    onChange(
+      clampCrop({ ...start, width, height: width / aspect }, imageWidth, imageHeight, aspect)
+    );
+  };
+
+  const onPointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const pct = (v, total) => `${(v / total) * 100}%`;
+
+  return (
+    <div
+      ref={frameRef}
+      className="relative w-full select-none touch-none overflow-hidden rounded-lg bg-gray-200"
+      style={{ aspectRatio: `${imageWidth} / ${imageHeight}` }}
+    >
+      <img src={src} alt="Crop source" className="absolute inset-0 w-full h-full" draggable={false} />
+      {value && (
+        <div
+          role="presentation"
+          onPointerDown={onPointerDown("move")}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          className="absolute border-2 border-white cursor-move"
+          style={{
+            left: pct(value.x, imageWidth),
+            top: pct(value.y, imageHeight),
+            width: pct(value.width, imageWidth),
+            height: pct(value.height, imageHeight),
+            boxShadow: "0 0 0 9999px rgba(15, 23, 42, 0.55)",
+          }}
+        >
+          {/* rule-of-thirds guides */}
+          <div className="absolute inset-x-0 top-1/3 border-t border-white/50" />
+          <div className="absolute inset-x-0 top-2/3 border-t border-white/50" />
+          <div className="absolute inset-y-0 left-1/3 border-l border-white/50" />
+          <div className="absolute inset-y-0 left-2/3 border-l border-white/50" />
+          <div
+            role="presentation"
+            onPointerDown={onPointerDown("resize")}
+            className="absolute -right-2 -bottom-2 w-4 h-4 rounded-full bg-blue-600 border-2 border-white cursor-nwse-resize"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+CropBox.propTypes = {
+  src: PropTypes.string.isRequired,
+  imageWidth: PropTypes.number.isRequired,
+  imageHeight: PropTypes.number.isRequired,
+  aspect: PropTypes.number.isRequired,
+  value: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+    width: PropTypes.number,
+    height: PropTypes.number,
+  }),
+  onChange: PropTypes.func.isRequired,
+};
+
+export default CropBox;
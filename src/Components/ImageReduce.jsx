@@ -1,4 +1,5 @@
 import { useState, useRef, useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Upload,
@@ -8,33 +9,28 @@ import {
   Check,
   Image as ImageIcon,
 } from "lucide-react";
+import { bytesToKB } from "../utils/imageFit";
+import { allowedFormat, extensionFor, reduceImage } from "../utils/imageReduce";
+import { saveZip } from "../utils/zip";
+import { uniqueName } from "../utils/fileNames";
+import {
+  centerCrop,
+  detectFace,
+  frameFace,
+  isFaceDetectionSupported,
+} from "../utils/faceCrop";
+import { cleanSignature } from "../utils/signatureCleanup";
+import useExamSizes from "../hooks/useExamSizes";
+import CropBox from "./CropBox";
+import BatchResults from "./BatchResults";
 
-const DEFAULT_EXAM_SIZES = {
-  "JEE Main": {
-    photo: { width: 350, height: 450, maxKB: 100 },
-    signature: { width: 160, height: 50, maxKB: 30 },
-  },
-  NEET: {
-    photo: { width: 350, height: 450, maxKB: 100 },
-    signature: { width: 160, height: 50, maxKB: 30 },
-  },
-  SSC: {
-    photo: { width: 200, height: 230, maxKB: 50 },
-    signature: { width: 140, height: 60, maxKB: 20 },
-  },
-  UPSC: {
-    photo: { width: 300, height: 350, maxKB: 40 },
-    signature: { width: 200, height: 80, maxKB: 20 },
-  },
-  GATE: {
-    photo: { width: 240, height: 320, maxKB: 50 },
-    signature: { width: 200, height: 60, maxKB: 20 },
-  },
-};
+const FORMATS = ["jpeg", "png", "webp"];
+const DOC_TYPES = ["photo", "signature", "thumb"];
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const baseName = (name) => name.replace(/\.[^.]+$/, "");
 
-function bytesToKB(bytes) {
-  return +(bytes / 1024).toFixed(1);
-}
+let batchSeq = 0;
 
 const ImageReduce = () => {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -43,16 +39,28 @@ const ImageReduce = () => {
   const [quality, setQuality] = useState(80);
   const [format, setFormat] = useState("jpeg");
   const [exam, setExam] = useState("");
-  const [docType, setDocType] = useState("photo"); // "photo" | "signature"
+  const [docType, setDocType] = useState("photo"); // "photo" | "signature" | "thumb"
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState(false);
   const [originalImage, setOriginalImage] = useState(null); // { url, sizeKB }
   const [resizedImage, setResizedImage] = useState(null); // { url, sizeKB }
   const [dragActive, setDragActive] = useState(false);
-  const [examSizes, setExamSizes] = useState(DEFAULT_EXAM_SIZES);
-  const [examSizesLoading, setExamSizesLoading] = useState(false);
+  const { examSizes, loading: examSizesLoading } = useExamSizes();
+  const [autoFit, setAutoFit] = useState(false);
+  const [fitMode, setFitMode] = useState("crop"); // "crop" | "pad" for exact presets
+  const [fitReport, setFitReport] = useState(null); // settings picked by auto-fit
+  const [cropEnabled, setCropEnabled] = useState(true);
+  const [crop, setCrop] = useState(null); // { x, y, width, height } in source px
+  const [autoCrop, setAutoCrop] = useState(null); // crop picked by face detection
+  const [sourceDims, setSourceDims] = useState(null); // { width, height }
+  const [faceStatus, setFaceStatus] = useState(""); // "detecting" | "found" | "none" | "unsupported"
+  const [signatureCleanup, setSignatureCleanup] = useState(true);
+  const [batch, setBatch] = useState(null); // [{ id, file, status, name?, blob?, sizeKB?, withinLimits?, error? }]
+  const [zipProgress, setZipProgress] = useState("");
   const fileInputRef = useRef(null);
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Helper: current config from exam + docType
   const getCurrentConfig = () => {
@@ -62,36 +70,52 @@ const ImageReduce = () => {
     return examCfg[docType] || null;
   };
 
-  // Fetch exam sizes from backend once
+  // Photo presets get cropped to their aspect ratio before resizing
+  const presetCfg = getCurrentConfig();
+  const cropAspect =
+    docType === "photo" && presetCfg?.width && presetCfg?.height
+      ? Number(presetCfg.width) / Number(presetCfg.height)
+      : 0;
+
+  // Frame head and shoulders whenever the photo or the preset shape changes
   useEffect(() => {
-    let mounted = true;
-    const endpoint = "http://localhost:3001/api/exam-sizes";
+    if (!selectedFile || !cropAspect) {
+      setCrop(null);
+      setAutoCrop(null);
+      setFaceStatus("");
+      return;
+    }
+    let cancelled = false;
 
-    const fetchSizes = async () => {
+    const frame = async () => {
+      setFaceStatus("detecting");
+      let bmp = null;
       try {
-        setExamSizesLoading(true);
-        const res = await fetch(endpoint);
-        if (!res.ok) return;
-        const data = await res.json();
-        if (!mounted) return;
-
-        // backend returns: { examSizes: {...} }
-        const sizes = data?.examSizes || data;
-        if (sizes && typeof sizes === "object") {
-          setExamSizes(sizes);
-        }
-      } catch (e) {
-        // keep defaults
+        bmp = await createImageBitmap(selectedFile);
+        const face = await detectFace(bmp);
+        if (cancelled) return;
+        const rect = face
+          ? frameFace(face, bmp.width, bmp.height, cropAspect)
+          : centerCrop(bmp.width, bmp.height, cropAspect);
+        setSourceDims({ width: bmp.width, height: bmp.height });
+        setCrop(rect);
+        setAutoCrop(rect);
+        setFaceStatus(
+          face ? "found" : isFaceDetectionSupported() ? "none" : "unsupported"
+        );
+      } catch (err) {
+        console.error("Auto-crop failed:", err);
+        if (!cancelled) setFaceStatus("none");
       } finally {
-        if (mounted) setExamSizesLoading(false);
+        bmp?.close();
       }
     };
 
-    fetchSizes();
+    frame();
     return () => {
-      mounted = false;
+      cancelled = true;
     };
-  }, []);
+  }, [selectedFile, cropAspect]);
 
   // Cleanup URLs on unmount
   useEffect(() => {
@@ -104,8 +128,7 @@ const ImageReduce = () => {
   const validateAndSetFile = (file) => {
     setError("");
     if (!file) return;
-    const allowed = ["image/jpeg", "image/png", "image/webp"];
-    if (!allowed.includes(file.type)) {
+    if (!ALLOWED_TYPES.includes(file.type)) {
       setError("Only JPG, PNG and WEBP are supported");
       return;
     }
@@ -116,15 +139,70 @@ const ImageReduce = () => {
     setSelectedFile(file);
     setOriginalImage({ url: originalUrl, sizeKB: bytesToKB(file.size) });
     setResizedImage(null);
+    setFitReport(null);
+    setSuccess(false);
+  };
+
+  // Several images (or more added to a selection) switch to batch mode
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (loading || files.length === 0) return;
+    if (files.length === 1 && !batch) {
+      validateAndSetFile(files[0]);
+      return;
+    }
+    const images = files.filter((f) => ALLOWED_TYPES.includes(f.type));
+    setError(
+      images.length < files.length
+        ? `Skipped ${files.length - images.length} file(s): only JPG, PNG and WEBP are supported`
+        : ""
+    );
+    if (images.length === 0) return;
+
+    const carried = selectedFile ? [selectedFile] : [];
+    if (originalImage?.url) URL.revokeObjectURL(originalImage.url);
+    if (resizedImage?.url) URL.revokeObjectURL(resizedImage.url);
+    setSelectedFile(null);
+    setOriginalImage(null);
+    setResizedImage(null);
+    setFitReport(null);
     setSuccess(false);
+    // batch photos are framed one by one; the single-photo crop state no longer applies
+    setCrop(null);
+    setAutoCrop(null);
+    setFaceStatus("");
+    setBatch((prev) => [
+      ...(prev || []),
+      ...[...carried, ...images].map((file) => ({ id: ++batchSeq, file, status: "pending" })),
+    ]);
   };
 
-  const handleFileChange = (e) => validateAndSetFile(e.target.files?.[0]);
+  // Files handed over from other tools (e.g. Remove Background) arrive in router
+  // state; they go through the latest addFiles so an open batch picks them up,
+  // and each handed-over file is taken once (Strict Mode runs effects twice)
+  const handoffFile = location.state?.file;
+  const handoffTaken = useRef(null);
+  const addFilesRef = useRef(addFiles);
+  useEffect(() => {
+    addFilesRef.current = addFiles;
+  });
+  useEffect(() => {
+    if (!handoffFile || handoffTaken.current === handoffFile) return;
+    handoffTaken.current = handoffFile;
+    addFilesRef.current([handoffFile]);
+    // drop the state so a refresh or back navigation doesn't load it again
+    navigate(location.pathname, { replace: true, state: null });
+  }, [handoffFile, navigate, location.pathname]);
+
+  const handleFileChange = (e) => {
+    addFiles(e.target.files);
+    e.target.value = "";
+  };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragActive(false);
-    validateAndSetFile(e.dataTransfer?.files?.[0]);
+    addFiles(e.dataTransfer?.files);
   };
 
   const handleDragOver = (e) => {
@@ -137,10 +215,17 @@ const ImageReduce = () => {
   const handleExamChange = (value) => {
     setExam(value);
     setError("");
-    const cfg = value ? examSizes?.[value]?.[docType] : null;
+    // not every exam asks for a thumb impression
+    const type = value && !examSizes?.[value]?.[docType] ? "photo" : docType;
+    if (type !== docType) {
+      setDocType(type);
+      setFitMode("crop");
+    }
+    const cfg = value ? examSizes?.[value]?.[type] : null;
     if (cfg) {
       setCustomWidth(String(cfg.width));
       setCustomHeight(String(cfg.height));
+      setFormat((f) => allowedFormat(f, cfg));
     } else {
       setCustomWidth("");
       setCustomHeight("");
@@ -149,12 +234,14 @@ const ImageReduce = () => {
 
   const handleDocTypeChange = (value) => {
     setDocType(value);
+    setFitMode(value === "signature" ? "pad" : "crop");
     setError("");
     if (exam) {
       const cfg = examSizes?.[exam]?.[value];
       if (cfg) {
         setCustomWidth(String(cfg.width));
         setCustomHeight(String(cfg.height));
+        setFormat((f) => allowedFormat(f, cfg));
       } else {
         setCustomWidth("");
         setCustomHeight("");
@@ -162,8 +249,111 @@ const ImageReduce = () => {
     }
   };
 
+  // Settings shared by single and batch mode
+  const reduceOptions = () => ({
+    cfg: getCurrentConfig(),
+    width: parseInt(customWidth || "0", 10),
+    height: parseInt(customHeight || "0", 10),
+    quality,
+    format,
+    fitMode,
+    autoFit,
+  });
+
+  // Crops (photo presets) or cleans up (signatures) before resizing;
+  // pickCrop(bitmap) resolves to a crop rect or null
+  const prepareSource = async (file, pickCrop) => {
+    const original = await createImageBitmap(file);
+    let bmp = original;
+    try {
+      const rect = await pickCrop(original);
+      if (rect) {
+        bmp = await createImageBitmap(original, rect.x, rect.y, rect.width, rect.height);
+      } else if (docType === "signature" && signatureCleanup) {
+        // white paper, black ink, trimmed to the strokes
+        bmp = cleanSignature(original);
+      }
+    } catch (e) {
+      original.close();
+      throw e;
+    }
+    if (bmp !== original) original.close();
+    return bmp;
+  };
+
+  // Batch photos have no crop box to adjust, so each is framed around its face
+  const autoCropFor = async (bmp) => {
+    if (!cropEnabled || !cropAspect) return null;
+    const face = await detectFace(bmp);
+    return face
+      ? frameFace(face, bmp.width, bmp.height, cropAspect)
+      : centerCrop(bmp.width, bmp.height, cropAspect);
+  };
+
+  const updateBatchItem = (id, changes) =>
+    setBatch((prev) => prev?.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+  const processBatch = async () => {
+    setLoading(true);
+    setError("");
+    const options = reduceOptions();
+    const taken = new Set();
+    let outFormat = format;
+
+    for (const item of batch) {
+      updateBatchItem(item.id, { status: "working" });
+      let bmp = null;
+      try {
+        bmp = await prepareSource(item.file, autoCropFor);
+        const out = await reduceImage(bmp, options);
+        outFormat = out.format;
+        updateBatchItem(item.id, {
+          status: "done",
+          blob: out.blob,
+          name: uniqueName(`${baseName(item.file.name)}_reduced.${extensionFor(out.format)}`, taken),
+          sizeKB: bytesToKB(out.blob.size),
+          withinLimits: out.withinLimits,
+          error: undefined,
+        });
+      } catch (e) {
+        console.error("Batch image failed:", item.file.name, e);
+        updateBatchItem(item.id, { status: "failed", error: e?.message || "Failed to process image" });
+      } finally {
+        bmp?.close?.(); // signature cleanup returns a canvas, which has no close()
+      }
+    }
+    if (outFormat !== format) setFormat(outFormat);
+    setLoading(false);
+  };
+
+  const downloadBatchZip = async () => {
+    const entries = batch
+      .filter((item) => item.status === "done")
+      .map((item) => ({ name: item.name, data: item.blob, lastModified: item.file.lastModified }));
+    const zipName = exam ? `${exam.replace(/[^\w-]+/g, "_")}_${docType}_reduced.zip` : "images_reduced.zip";
+    try {
+      setZipProgress("Preparing ZIP...");
+      await saveZip(entries, zipName, (i, total) => setZipProgress(`Adding ${i} / ${total}...`));
+    } catch (e) {
+      console.error(e);
+      setError("Failed to build the ZIP.");
+    } finally {
+      setZipProgress("");
+    }
+  };
+
+  const removeBatchItem = (id) =>
+    setBatch((prev) => {
+      const next = prev.filter((item) => item.id !== id);
+      return next.length ? next : null;
+    });
+
   // Resize with canvas
   const handleUpload = async () => {
+    if (batch) {
+      processBatch();
+      return;
+    }
     if (!selectedFile) {
       setError("Please select an image first");
       return;
@@ -171,54 +361,14 @@ const ImageReduce = () => {
     setLoading(true);
     setError("");
 
+    let bmp = null;
     try {
-      const bmp = await createImageBitmap(selectedFile);
-      let targetW = 0;
-      let targetH = 0;
-
-      const cfg = getCurrentConfig();
-
-      if (cfg) {
-        targetW = Number(cfg.width) || 0;
-        targetH = Number(cfg.height) || 0;
-      } else {
-        targetW = parseInt(customWidth || "0", 10);
-        targetH = parseInt(customHeight || "0", 10);
-      }
-
-      if (!targetW || !targetH) {
-        targetW = Math.round(bmp.width * 0.5);
-        targetH = Math.round(bmp.height * 0.5);
-      }
-
-      targetW = Math.min(targetW, bmp.width);
-      targetH = Math.min(targetH, bmp.height);
-
-      const scale = Math.min(targetW / bmp.width, targetH / bmp.height);
-      const outW = Math.max(1, Math.round(bmp.width * scale));
-      const outH = Math.max(1, Math.round(bmp.height * scale));
-
-      const canvas = document.createElement("canvas");
-      canvas.width = outW;
-      canvas.height = outH;
-      const ctx = canvas.getContext("2d");
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = "high";
-      ctx.drawImage(bmp, 0, 0, outW, outH);
-
-      const mime =
-        format === "png"
-          ? "image/png"
-          : format === "webp"
-          ? "image/webp"
-          : "image/jpeg";
-      const q =
-        mime === "image/png" ? 1.0 : Math.max(0.01, Number(quality) / 100);
-
-      const blob = await new Promise((resolve) =>
-        canvas.toBlob(resolve, mime, q)
+      bmp = await prepareSource(selectedFile, async () =>
+        cropEnabled && crop && cropAspect ? crop : null
       );
-      if (!blob) throw new Error("Failed to create image blob");
+      const { blob, format: outFormat, report } = await reduceImage(bmp, reduceOptions());
+      setFitReport(report);
+      if (outFormat !== format) setFormat(outFormat);
 
       const url = URL.createObjectURL(blob);
       setResizedImage({ url, sizeKB: bytesToKB(blob.size) });
@@ -226,6 +376,7 @@ const ImageReduce = () => {
     } catch (e) {
       setError(e?.message || "Failed to process image");
     } finally {
+      bmp?.close?.();
       setLoading(false);
     }
   };
@@ -234,7 +385,7 @@ const ImageReduce = () => {
     if (!resizedImage) return;
     const a = document.createElement("a");
     a.href = resizedImage.url;
-    a.download = `reduced-image.${format === "jpeg" ? "jpg" : format}`;
+    a.download = `reduced-image.${extensionFor(format)}`;
     document.body.appendChild(a);
     a.click();
     a.remove();
@@ -246,12 +397,18 @@ const ImageReduce = () => {
     setSelectedFile(null);
     setOriginalImage(null);
     setResizedImage(null);
+    setBatch(null);
     setCustomWidth("");
     setCustomHeight("");
     setQuality(80);
     setFormat("jpeg");
     setExam("");
     setDocType("photo");
+    setAutoFit(false);
+    setFitMode("crop");
+    setFitReport(null);
+    setCropEnabled(true);
+    setSignatureCleanup(true);
     setError("");
     setSuccess(false);
     if (fileInputRef.current) fileInputRef.current.value = "";
@@ -308,14 +465,20 @@ const ImageReduce = () => {
             >
               <Upload className="w-12 h-12 text-blue-500 mx-auto mb-4" />
               <p className="text-gray-700 font-semibold mb-2">
-                {selectedFile ? selectedFile.name : "Click or drag image here"}
+                {selectedFile
+                  ? selectedFile.name
+                  : batch
+                  ? `${batch.length} images selected (add more any time)`
+                  : "Click or drag images here"}
               </p>
               <p className="text-gray-500 text-sm">
-                Supported: JPG, PNG, WebP up to 50MB
+                Supported: JPG, PNG, WebP up to 50MB. Pick several for batch
+                mode.
               </p>
               <input
                 ref={fileInputRef}
                 type="file"
+                multiple
                 accept="image/*"
                 onChange={handleFileChange}
                 className="hidden"
@@ -345,36 +508,151 @@ const ImageReduce = () => {
                 </select>
               </div>
 
-              {exam && (
-                <div>
-                  <label className="block text-gray-700 font-semibold mb-2">
-                    Document Type
-                  </label>
-                  <div className="grid grid-cols-2 gap-2">
-                    {["photo", "signature"].map((type) => (
-                      <button
-                        key={type}
-                        type="button"
-                        onClick={() => handleDocTypeChange(type)}
-                        className={`py-2 px-4 rounded-lg font-semibold capitalize transition ${
-                          docType === type
-                            ? "bg-blue-600 text-white"
-                            : "bg-gray-200 text-gray-700 hover:bg-gray-300"
-                        }`}
-                      >
-                        {type}
-                      </button>
-                    ))}
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">
+                  Document Type
+                </label>
+                <div className="flex gap-2">
+                  {(exam ? DOC_TYPES.filter((t) => examSizes?.[exam]?.[t]) : DOC_TYPES).map((type) => (
+                    <button
+                      key={type}
+                      type="button"
+                      onClick={() => handleDocTypeChange(type)}
+                      className={`flex-1 py-2 px-4 rounded-lg font-semibold capitalize transition ${
+                        docType === type
+                          ? "bg-blue-600 text-white"
+                          : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                      }`}
+                    >
+                      {type}
+                    </button>
+                  ))}
+                </div>
+                {currentCfg && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Preset: {currentCfg.width}×{currentCfg.height} px
+                    {currentCfg.maxKB && `, Max ~${currentCfg.maxKB} KB`}
+                    {currentCfg.minKB > 0 && `, Min ~${currentCfg.minKB} KB`}
+                    {currentCfg.exact && ", exact size"}
+                    {currentCfg.formats?.length > 0 &&
+                      `, ${currentCfg.formats.join("/").toUpperCase()} only`}
+                    {currentCfg.dpi > 0 && `, ${currentCfg.dpi} DPI`}
+                  </p>
+                )}
+                {currentCfg?.exact && (
+                  <div className="mt-3">
+                    <label className="block text-gray-700 text-sm font-semibold mb-2">
+                      Fit to exact size
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      {[
+                        ["crop", "Crop to fill"],
+                        ["pad", "Pad with white"],
+                      ].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          type="button"
+                          onClick={() => setFitMode(mode)}
+                          className={`py-2 px-3 rounded-lg text-sm font-semibold transition ${
+                            fitMode === mode
+                              ? "bg-blue-600 text-white"
+                              : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                  {currentCfg && (
-                    <p className="text-xs text-gray-500 mt-1">
-                      Preset: {currentCfg.width}×{currentCfg.height} px
-                      {currentCfg.maxKB && `, Max ~${currentCfg.maxKB} KB`}
-                    </p>
+                )}
+                {currentCfg?.maxKB > 0 && (
+                  <label className="mt-3 flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={autoFit}
+                      onChange={(e) => setAutoFit(e.target.checked)}
+                      className="mt-0.5 accent-blue-600"
+                    />
+                    <span>
+                      <span className="font-semibold">Auto-fit to size limit</span>
+                      <span className="block text-xs text-gray-500">
+                        Picks quality (and shrinks if needed) so the file
+                        lands within the preset&apos;s KB limits
+                      </span>
+                    </span>
+                  </label>
+                )}
+              </div>
+            </div>
+
+            {/* Face-aware crop */}
+            {cropAspect > 0 && (originalImage || batch) && (
+              <div className="mt-6">
+                <div className="flex items-center justify-between mb-2">
+                  <label className="flex items-center gap-2 text-gray-700 font-semibold cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cropEnabled}
+                      onChange={(e) => setCropEnabled(e.target.checked)}
+                      className="accent-blue-600"
+                    />
+                    Crop to head &amp; shoulders
+                  </label>
+                  {cropEnabled && autoCrop && !batch && (
+                    <button
+                      type="button"
+                      onClick={() => setCrop(autoCrop)}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      Reset crop
+                    </button>
                   )}
                 </div>
-              )}
-            </div>
+                <p className="text-xs text-gray-500 mb-2">
+                  {batch &&
+                    cropEnabled &&
+                    (isFaceDetectionSupported()
+                      ? "Each photo is framed around its face automatically."
+                      : "Face detection is not available in this browser, so each photo is centre-cropped.")}
+                  {faceStatus === "detecting" && "Looking for a face..."}
+                  {faceStatus === "found" &&
+                    "Face found. Drag the box or its corner to fine-tune."}
+                  {faceStatus === "none" &&
+                    "No face found. Position the box over the head manually."}
+                  {faceStatus === "unsupported" &&
+                    "Face detection is not available in this browser. Position the box manually."}
+                </p>
+                {cropEnabled && crop && sourceDims && (
+                  <CropBox
+                    src={originalImage.url}
+                    imageWidth={sourceDims.width}
+                    imageHeight={sourceDims.height}
+                    aspect={cropAspect}
+                    value={crop}
+                    onChange={setCrop}
+                  />
+                )}
+              </div>
+            )}
+
+            {/* Signature cleanup */}
+            {docType === "signature" && (
+              <label className="mt-6 flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={signatureCleanup}
+                  onChange={(e) => setSignatureCleanup(e.target.checked)}
+                  className="mt-0.5 accent-blue-600"
+                />
+                <span>
+                  <span className="font-semibold">Clean up signature</span>
+                  <span className="block text-xs text-gray-500">
+                    Removes shadows and grey paper, makes the ink black on
+                    white and trims the empty margins
+                  </span>
+                </span>
+              </label>
+            )}
 
             {/* Custom size */}
             <motion.div
@@ -423,10 +701,13 @@ const ImageReduce = () => {
                 max="100"
                 value={quality}
                 onChange={(e) => setQuality(Number(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                disabled={autoFit && !!currentCfg?.maxKB}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
               />
               <p className="text-gray-500 text-sm mt-1">
-                Higher = Better Quality, Larger File
+                {autoFit && currentCfg?.maxKB
+                  ? "Quality is chosen automatically in auto-fit mode"
+                  : "Higher = Better Quality, Larger File"}
               </p>
             </div>
 
@@ -436,12 +717,13 @@ const ImageReduce = () => {
                 Output Format
               </label>
               <div className="grid grid-cols-3 gap-2">
-                {["jpeg", "png", "webp"].map((fmt) => (
+                {FORMATS.map((fmt) => (
                   <button
                     key={fmt}
                     type="button"
                     onClick={() => setFormat(fmt)}
-                    className={`py-2 px-4 rounded-lg font-semibold transition ${
+                    disabled={allowedFormat(fmt, currentCfg) !== fmt}
+                    className={`py-2 px-4 rounded-lg font-semibold transition disabled:opacity-40 disabled:cursor-not-allowed ${
                       format === fmt
                         ? "bg-blue-600 text-white"
                         : "bg-gray-200 text-gray-700 hover:bg-gray-300"
@@ -494,7 +776,7 @@ const ImageReduce = () => {
             <div className="mt-6 flex gap-3">
               <button
                 onClick={handleUpload}
-                disabled={!selectedFile || loading}
+                disabled={(!selectedFile && !batch) || loading}
                 className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
                 {loading ? (
@@ -505,11 +787,11 @@ const ImageReduce = () => {
                 ) : (
                   <>
                     <Upload className="w-5 h-5" />
-                    Process Image
+                    {batch ? `Process ${batch.length} Images` : "Process Image"}
                   </>
                 )}
               </button>
-              {selectedFile && (
+              {(selectedFile || batch) && (
                 <button
                   onClick={resetForm}
                   className="px-6 bg-gray-200 text-gray-700 font-semibold py-3 rounded-lg hover:bg-gray-300 transition"
@@ -529,7 +811,17 @@ const ImageReduce = () => {
           >
             <h2 className="text-2xl font-bold text-gray-800 mb-6">Results</h2>
 
-            {originalImage && resizedImage ? (
+            {batch ? (
+              <BatchResults
+                items={batch}
+                minKB={Number(currentCfg?.minKB) || 0}
+                maxKB={Number(currentCfg?.maxKB) || 0}
+                busy={loading || !!zipProgress}
+                progress={zipProgress}
+                onRemove={removeBatchItem}
+                onDownloadZip={downloadBatchZip}
+              />
+            ) : originalImage && resizedImage ? (
               <motion.div
                 initial={{ opacity: 0, scale: 0.95 }}
                 animate={{ opacity: 1, scale: 1 }}
@@ -595,6 +887,33 @@ const ImageReduce = () => {
                   </div>
                 </div>
 
+                {fitReport && (
+                  <div
+                    className={`rounded-lg p-4 border text-sm ${
+                      fitReport.withinLimits
+                        ? "bg-green-50 border-green-200 text-green-800"
+                        : "bg-amber-50 border-amber-200 text-amber-800"
+                    }`}
+                  >
+                    <p className="font-semibold">
+                      {fitReport.withinLimits
+                        ? fitReport.enforced
+                          ? "Re-encoded to meet the preset limits"
+                          : "Auto-fit: within the preset limits"
+                        : "Could not meet the preset limits"}
+                    </p>
+                    <p className="mt-1">
+                      {fitReport.quality !== undefined &&
+                        `Quality ${fitReport.quality}% • `}
+                      {fitReport.width}×{fitReport.height} px
+                      {fitReport.scaled && " (downscaled)"}
+                      {fitReport.attempts > 0 &&
+                        ` • ${fitReport.attempts} encode(s)`}
+                      {fitReport.padded && " • padded up to the minimum size"}
+                    </p>
+                  </div>
+                )}
+
                 <button
                   onClick={handleDownload}
                   disabled={loading}
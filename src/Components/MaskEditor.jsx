@@ -0,0 +1,244 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { Eraser, Paintbrush, Undo2, Redo2 } from "lucide-react";
+
+/**
+ * MaskEditor
+ * - paints the alpha mask of a background-removed `cutout`
+ * - "erase" clears alpha, "restore" brings back pixels from the `original` upload
+ * - colour comes from the cutout where it was kept and from the original elsewhere,
+ *   so restored hair/shoulders get their real colour
+ * - undo/redo keeps one alpha snapshot per stroke (Ctrl+Z / Ctrl+Shift+Z)
+ * - `onApply` receives a canvas with the edited cutout
+ */
+
+const MAX_HISTORY = 20;
+
+const MaskEditor = ({ cutout, original, onApply, onCancel }) => {
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null); // ImageData: colour layer + edited alpha
+  const strokeRef = useRef(null); // { last: {x, y} } while painting
+  const [mode, setMode] = useState("erase"); // "erase" | "restore"
+  const [brushSize, setBrushSize] = useState(30); // screen px
+  const [history, setHistory] = useState({ undo: [], redo: [] });
+  const [ready, setReady] = useState(false);
+
+  const { width, height } = cutout;
+
+  // Build the colour layer once: original underneath, cutout on top, alpha from the cutout
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      const source = await createImageBitmap(original);
+      if (cancelled) return;
+      const work = document.createElement("canvas");
+      work.width = width;
+      work.height = height;
+      const ctx = work.getContext("2d", { willReadFrequently: true });
+
+      ctx.drawImage(cutout, 0, 0);
+      const alpha = ctx.getImageData(0, 0, width, height).data;
+      ctx.globalCompositeOperation = "destination-over";
+      ctx.drawImage(source, 0, 0, width, height);
+      source.close();
+
+      const image = ctx.getImageData(0, 0, width, height);
+      for (let i = 3; i < image.data.length; i += 4) image.data[i] = alpha[i];
+      imageRef.current = image;
+      canvasRef.current.getContext("2d").putImageData(image, 0, 0);
+      setHistory({ undo: [], redo: [] });
+      setReady(true);
+    };
+
+    load().catch((err) => console.error("Mask editor failed to load:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [cutout, original, width, height]);
+
+  const snapshot = () => {
+    const { data } = imageRef.current;
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3];
+    return alpha;
+  };
+
+  const restoreSnapshot = (alpha) => {
+    const image = imageRef.current;
+    for (let i = 0; i < alpha.length; i++) image.data[i * 4 + 3] = alpha[i];
+    canvasRef.current.getContext("2d").putImageData(image, 0, 0);
+  };
+
+  const undo = () => {
+    if (!history.undo.length) return;
+    const current = snapshot();
+    const previous = history.undo[history.undo.length - 1];
+    restoreSnapshot(previous);
+    setHistory({ undo: history.undo.slice(0, -1), redo: [...history.redo, current] });
+  };
+
+  const redo = () => {
+    if (!history.redo.length) return;
+    const current = snapshot();
+    const next = history.redo[history.redo.length - 1];
+    restoreSnapshot(next);
+    setHistory({ undo: [...history.undo, current], redo: history.redo.slice(0, -1) });
+  };
+
+  // keyboard shortcuts read the latest undo/redo through a ref; text fields
+  // keep their own Ctrl/Cmd+Z
+  const shortcutsRef = useRef({ undo, redo });
+  shortcutsRef.current = { undo, redo };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      const target = e.target;
+      if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) shortcutsRef.current.redo();
+      else shortcutsRef.current.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // screen px -> image px
+  const toImage = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const k = width / rect.width;
+    return { x: (e.clientX - rect.left) * k, y: (e.clientY - rect.top) * k, k };
+  };
+
+  // one round dab; only the dirty rectangle is pushed back to the canvas
+  const dab = (cx, cy, radius) => {
+    const image = imageRef.current;
+    const value = mode === "erase" ? 0 : 255;
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const x1 = Math.min(width - 1, Math.ceil(cx + radius));
+    const y1 = Math.min(height - 1, Math.ceil(cy + radius));
+    if (x1 < x0 || y1 < y0) return;
+
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        // 1px soft rim keeps the edge from looking jagged
+        const cover = Math.min(1, Math.max(0, radius - Math.hypot(x - cx, y - cy) + 0.5));
+        if (!cover) continue;
+        const i = (y * width + x) * 4 + 3;
+        image.data[i] = Math.round(image.data[i] + (value - image.data[i]) * cover);
+      }
+    }
+    canvasRef.current
+      .getContext("2d")
+      .putImageData(image, 0, 0, x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+  };
+
+  const paintTo = (point) => {
+    const radius = (brushSize / 2) * point.k;
+    const { last } = strokeRef.current;
+    const dist = Math.hypot(point.x - last.x, point.y - last.y);
+    const steps = Math.max(1, Math.ceil(dist / Math.max(1, radius / 3)));
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      dab(last.x + (point.x - last.x) * t, last.y + (point.y - last.y) * t, radius);
+    }
+    strokeRef.current.last = point;
+  };
+
+  const onPointerDown = (e) => {
+    if (!ready) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const before = snapshot();
+    setHistory((h) => ({ undo: [...h.undo, before].slice(-MAX_HISTORY), redo: [] }));
+    const point = toImage(e);
+    strokeRef.current = { last: point };
+    dab(point.x, point.y, (brushSize / 2) * point.k);
+  };
+
+  const onPointerMove = (e) => {
+    if (strokeRef.current) paintTo(toImage(e));
+  };
+
+  const onPointerUp = () => {
+    strokeRef.current = null;
+  };
+
+  const apply = () => {
+    const out = document.createElement("canvas");
+    out.width = width;
+    out.height = height;
+    out.getContext("2d").putImageData(imageRef.current, 0, 0);
+    onApply(out);
+  };
+
+  const toolClass = (active) =>
+    `flex-1 py-2 rounded-lg text-sm font-semibold transition flex items-center justify-center gap-2 ${
+      active ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+    }`;
+
+  return (
+    <div className="space-y-4">
+      <div
+        className="rounded-lg overflow-hidden border border-gray-200"
+        style={{
+          backgroundImage:
+            "linear-gradient(45deg, #e5e7eb 25%, transparent 25%), linear-gradient(-45deg, #e5e7eb 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #e5e7eb 75%), linear-gradient(-45deg, transparent 75%, #e5e7eb 75%)",
+          backgroundSize: "16px 16px",
+          backgroundPosition: "0 0, 0 8px, 8px -8px, -8px 0",
+        }}
+      >
+        <canvas
+          ref={canvasRef}
+          width={width}
+          height={height}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          className="w-full h-auto block touch-none cursor-crosshair"
+        />
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={() => setMode("erase")} className={toolClass(mode === "erase")}>
+          <Eraser className="w-4 h-4" />
+          Erase
+        </button>
+        <button onClick={() => setMode("restore")} className={toolClass(mode === "restore")}>
+          <Paintbrush className="w-4 h-4" />
+          Restore
+        </button>
+        <button onClick={undo} disabled={!history.undo.length} title="Undo (Ctrl+Z)" className="px-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition disabled:opacity-50 disabled:cursor-not-allowed">
+          <Undo2 className="w-4 h-4" />
+        </button>
+        <button onClick={redo} disabled={!history.redo.length} title="Redo (Ctrl+Shift+Z)" className="px-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition disabled:opacity-50 disabled:cursor-not-allowed">
+          <Redo2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div>
+        <label className="text-gray-700 font-semibold">Brush size: {brushSize}px</label>
+        <input type="range" min="4" max="120" value={brushSize} onChange={(e) => setBrushSize(Number(e.target.value))} className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600" />
+      </div>
+
+      <div className="flex gap-3">
+        <button onClick={apply} disabled={!ready} className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition disabled:opacity-50 disabled:cursor-not-allowed">
+          Apply Edits
+        </button>
+        <button onClick={onCancel} className="px-6 bg-gray-200 text-gray-700 font-semibold py-3 rounded-lg hover:bg-gray-300 transition">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+MaskEditor.propTypes = {
+  cutout: PropTypes.shape({ width: PropTypes.number, height: PropTypes.number }).isRequired,
+  original: PropTypes.instanceOf(Blob).isRequired,
+  onApply: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default MaskEditor;
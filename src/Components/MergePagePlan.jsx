@@ -0,0 +1,160 @@
+import { useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { RotateCw, Copy, Trash2 } from "lucide-react";
+import useThumbnailQueue from "../hooks/useThumbnailQueue";
+import PdfThumbnail from "./PdfThumbnail";
+import {
+  duplicatePlanEntry,
+  fileLetter,
+  movePlanEntry,
+  removePlanEntry,
+  rotatePlanEntry,
+} from "../utils/pagePlan";
+
+/**
+ * MergePagePlan
+ * - shows the merge as individual pages, colour-coded by source file
+ * - drag to reorder; rotate, duplicate or delete single pages
+ * - `previews` maps file id -> pdf.js document (missing ones show a placeholder)
+ */
+
+const FILE_COLORS = [
+  "bg-sky-600",
+  "bg-purple-600",
+  "bg-emerald-600",
+  "bg-amber-600",
+  "bg-rose-600",
+  "bg-indigo-600",
+];
+
+const THUMB_WIDTH = 96;
+
+const MergePagePlan = ({ plan, items, previews, onChange }) => {
+  const { containerRef, observe, enqueue } = useThumbnailQueue();
+  const dragFromRef = useRef(null);
+  const [dragOverPos, setDragOverPos] = useState(null);
+
+  const fileIndex = new Map(items.map((it, i) => [it.id, i]));
+
+  const onDragStart = (e, position) => {
+    dragFromRef.current = position;
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  const onDragOver = (e, position) => {
+    if (dragFromRef.current === null) return;
+    e.preventDefault();
+    setDragOverPos(position);
+  };
+
+  const onDrop = (e, position) => {
+    e.preventDefault();
+    const from = dragFromRef.current;
+    if (from === null || from === position) return;
+    onChange(movePlanEntry(plan, from, position));
+  };
+
+  const onDragEnd = () => {
+    dragFromRef.current = null;
+    setDragOverPos(null);
+  };
+
+  return (
+    <div ref={containerRef} className="max-h-[32rem] overflow-y-auto rounded border bg-gray-50 p-2">
+      <div className="grid grid-cols-[repeat(auto-fill,minmax(112px,1fr))] gap-2 justify-items-center">
+        {plan.map((p, position) => {
+          const fi = fileIndex.get(p.fileId) ?? 0;
+          const pdf = previews[p.fileId];
+          return (
+            <div
+              key={p.key}
+              draggable
+              onDragStart={(e) => onDragStart(e, position)}
+              onDragOver={(e) => onDragOver(e, position)}
+              onDrop={(e) => onDrop(e, position)}
+              onDragEnd={onDragEnd}
+              className={`group relative flex flex-col items-center gap-1 p-1.5 rounded-lg bg-white border cursor-move ${
+                dragOverPos === position ? "ring-2 ring-sky-400" : ""
+              }`}
+            >
+              {pdf ? (
+                <PdfThumbnail
+                  pdf={pdf}
+                  pageIndex={p.pageIndex}
+                  width={THUMB_WIDTH}
+                  rotation={p.rotation}
+                  observe={observe}
+                  enqueue={enqueue}
+                />
+              ) : (
+                <div
+                  className="bg-gray-100 flex items-center justify-center text-xs text-gray-400"
+                  style={{ width: THUMB_WIDTH, height: Math.round(THUMB_WIDTH * 1.3) }}
+                >
+                  No preview
+                </div>
+              )}
+
+              <div className="flex items-center gap-1 text-xs text-gray-700">
+                <span className={`px-1.5 rounded text-white font-semibold ${FILE_COLORS[fi % FILE_COLORS.length]}`}>
+                  {fileLetter(fi)}
+                </span>
+                <span>p.{p.pageIndex + 1}</span>
+                <span className="text-gray-400">#{position + 1}</span>
+              </div>
+
+              <div className="absolute top-1 right-1 flex flex-col gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition">
+                <button
+                  type="button"
+                  onClick={() => onChange(rotatePlanEntry(plan, p.key))}
+                  title="Rotate 90°"
+                  aria-label={`Rotate page ${position + 1}`}
+                  className="p-1 rounded bg-white/90 shadow hover:bg-gray-100"
+                >
+                  <RotateCw className="w-3.5 h-3.5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(duplicatePlanEntry(plan, p.key))}
+                  title="Duplicate"
+                  aria-label={`Duplicate page ${position + 1}`}
+                  className="p-1 rounded bg-white/90 shadow hover:bg-gray-100"
+                >
+                  <Copy className="w-3.5 h-3.5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(removePlanEntry(plan, p.key))}
+                  title="Delete"
+                  aria-label={`Delete page ${position + 1}`}
+                  className="p-1 rounded bg-white/90 shadow hover:bg-red-50 text-red-600"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {plan.length === 0 && (
+        <div className="text-sm text-gray-500 p-3 text-center">No pages in the plan.</div>
+      )}
+    </div>
+  );
+};
+
+MergePagePlan.propTypes = {
+  plan: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      fileId: PropTypes.string.isRequired,
+      pageIndex: PropTypes.number.isRequired,
+      rotation: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string.isRequired })).isRequired,
+  previews: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default MergePagePlan;
@@ -2,12 +2,21 @@ import { useCallback, useEffect, useRef, useState } from "react";
 import { PDFDocument } from "pdf-lib";
 import { motion, AnimatePresence } from "framer-motion";
 import { useDropzone } from "react-dropzone";
-import { Trash2, ArrowUp, ArrowDown, FileText, DownloadCloud } from "lucide-react";
+import { Trash2, ArrowUp, ArrowDown, FileText, DownloadCloud, LayoutGrid } from "lucide-react";
+import pdfjsLib, { LOCAL_DATA_OPTIONS } from "../utils/pdfjs";
+import { fileLetter, interleavePlan, pagesOf, planFromItems } from "../utils/pagePlan";
+import { mergePages } from "../utils/pdfMerge";
+import MergePagePlan from "./MergePagePlan";
+import { PdfPasswordError, unlockPdf } from "../utils/pdfSecurity";
+import usePasswordPrompt from "../hooks/usePasswordPrompt";
+import PasswordPrompt from "./PasswordPrompt";
 
 /**
  * Production-level MergePDF component
  * - Drag & drop or click upload
  * - File list with page count, size, reorder (drag/drop + up/down), remove
+ * - Optional page plan: expand files into pages to delete, rotate, duplicate,
+ *   reorder or interleave them (e.g. front/back scans); the merge follows the plan
  * - Merge with progress + error handling
  * - Accessible controls and responsive layout
  */
@@ -27,7 +36,13 @@ const MergePDF = () => {
   const [mergedUrl, setMergedUrl] = useState(null);
   const [error, setError] = useState("");
   const [progress, setProgress] = useState(""); // textual progress
+  const [plan, setPlan] = useState(null); // null = whole files, else [{ key, fileId, pageIndex, rotation }]
+  const [previews, setPreviews] = useState({}); // file id -> pdf.js document for thumbnails
+  const [reverseLast, setReverseLast] = useState(true);
   const dragIndexRef = useRef(null);
+  const previewsRef = useRef(previews);
+  previewsRef.current = previews;
+  const { askPassword, promptProps } = usePasswordPrompt();
 
   // Dropzone
   const onDrop = useCallback(
@@ -63,21 +78,35 @@ const MergePDF = () => {
       if (newFiles.length === 0) return;
       setItems((prev) => [...prev, ...newFiles]);
 
-      // Load page counts in background
+      // Load page counts in background; protected files are asked for one at a time
       for (const nf of newFiles) {
         try {
-          const arrayBuffer = await nf.file.arrayBuffer();
+          const file = await unlockPdf(nf.file, askPassword);
+          const arrayBuffer = await file.arrayBuffer();
           const pdf = await PDFDocument.load(arrayBuffer, { ignoreEncryption: true });
-          setItems((prev) =>
-            prev.map((it) => (it.id === nf.id ? { ...it, pages: pdf.getPageCount() } : it))
-          );
+          const pages = pdf.getPageCount();
+          setItems((prev) => prev.map((it) => (it.id === nf.id ? { ...it, file, pages } : it)));
+          // files added while editing pages join the end of the plan
+          setPlan((prev) => (prev ? [...prev, ...pagesOf({ id: nf.id, pages })] : prev));
+
+          // thumbnails only; pdf.js takes ownership of the bytes, so give it a copy
+          pdfjsLib
+            .getDocument({ data: new Uint8Array(arrayBuffer.slice(0)), ...LOCAL_DATA_OPTIONS })
+            .promise.then((doc) => setPreviews((prev) => ({ ...prev, [nf.id]: doc })))
+            .catch((err) => console.warn("No preview for", nf.name, err));
         } catch (err) {
+          if (err instanceof PdfPasswordError) {
+            setError(`${err.message} It was left out.`);
+            setItems((prev) => prev.filter((it) => it.id !== nf.id));
+            continue;
+          }
           console.error("Failed to read PDF", nf.name, err);
-          setItems((prev) => prev.map((it) => (it.id === nf.id ? { ...it, pages: 0 } : it)));
+          // kept in the list (and blocking the merge) so it can't silently drop out
+          setItems((prev) => prev.map((it) => (it.id === nf.id ? { ...it, pages: 0, failed: true } : it)));
         }
       }
     },
-    [items.length]
+    [items.length, askPassword]
   );
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
@@ -99,6 +128,13 @@ const MergePDF = () => {
 
   const removeItem = (id) => {
     setItems((prev) => prev.filter((it) => it.id !== id));
+    setPlan((prev) => (prev ? prev.filter((p) => p.fileId !== id) : prev));
+    previewsRef.current[id]?.destroy();
+    setPreviews((prev) => {
+      const rest = { ...prev };
+      delete rest[id];
+      return rest;
+    });
   };
 
   const onDragStart = (e, index) => {
@@ -125,10 +161,23 @@ const MergePDF = () => {
     setError("");
     setMergedUrl(null);
 
-    if (items.length < 2) {
+    const unreadable = items.filter((it) => it.failed);
+    if (unreadable.length) {
+      setError(`Couldn't read ${unreadable.map((it) => it.name).join(", ")}. Remove ${unreadable.length > 1 ? "them" : "it"} to merge the rest.`);
+      return;
+    }
+    if (plan && plan.length === 0) {
+      setError("The page plan is empty.");
+      return;
+    }
+    if (!plan && items.length < 2) {
       setError("Select at least two PDF files to merge.");
       return;
     }
+    if (!plan && items.some((it) => it.pages === null)) {
+      setError("Still reading your files. Try again in a moment.");
+      return;
+    }
 
     // total size guard
     const totalSize = items.reduce((s, it) => s + (it.size || 0), 0);
@@ -141,16 +190,8 @@ const MergePDF = () => {
     setProgress("Creating new document...");
 
     try {
-      const mergedDoc = await PDFDocument.create();
-
-      for (let i = 0; i < items.length; i++) {
-        const it = items[i];
-        setProgress(`Processing ${i + 1} / ${items.length}: ${it.name}`);
-        const arrayBuffer = await it.file.arrayBuffer();
-        const pdf = await PDFDocument.load(arrayBuffer);
-        const copied = await mergedDoc.copyPages(pdf, pdf.getPageIndices());
-        copied.forEach((p) => mergedDoc.addPage(p));
-      }
+      // whole-files mode is just the default plan
+      const mergedDoc = await mergePages(items, plan || planFromItems(items), setProgress);
 
       setProgress("Saving merged PDF...");
       const pdfBytes = await mergedDoc.save();
@@ -173,6 +214,9 @@ const MergePDF = () => {
   // Clear all
   const clearAll = () => {
     setItems([]);
+    setPlan(null);
+    Object.values(previewsRef.current).forEach((doc) => doc.destroy());
+    setPreviews({});
     setMergedUrl((prev) => {
       if (prev) URL.revokeObjectURL(prev);
       return null;
@@ -181,6 +225,11 @@ const MergePDF = () => {
     setProgress("");
   };
 
+  useEffect(() => {
+    // release pdf.js documents on unmount
+    return () => Object.values(previewsRef.current).forEach((doc) => doc.destroy());
+  }, []);
+
   useEffect(() => {
     // revoke merged URL on unmount
     return () => {
@@ -198,7 +247,7 @@ const MergePDF = () => {
         Merge PDFs
       </motion.h2>
       <p className="text-sm text-gray-600 mb-6">
-        Drag & drop PDF files or click to upload. Reorder as needed, then merge into a single PDF.
+        Drag & drop PDF files or click to upload. Reorder files, or edit individual pages, then merge into a single PDF.
       </p>
 
       <div
@@ -245,13 +294,17 @@ const MergePDF = () => {
                 >
                   <div className="flex items-center gap-3 min-w-0">
                     <div className="w-10 h-10 rounded bg-gray-100 flex items-center justify-center text-gray-500">
-                      <FileText />
+                      {plan ? <span className="font-semibold">{fileLetter(idx)}</span> : <FileText />}
                     </div>
                     <div className="min-w-0">
                       <div className="text-sm font-medium text-gray-800 truncate">{it.name}</div>
-                      <div className="text-xs text-gray-500">
-                        {it.pages !== null ? `${it.pages} page(s)` : "Reading pages..."} • {humanSize(it.size)}
-                      </div>
+                      {it.failed ? (
+                        <div className="text-xs text-red-600">Couldn&apos;t read this PDF • {humanSize(it.size)}</div>
+                      ) : (
+                        <div className="text-xs text-gray-500">
+                          {it.pages !== null ? `${it.pages} page(s)` : "Reading pages..."} • {humanSize(it.size)}
+                        </div>
+                      )}
                     </div>
                   </div>
 
@@ -289,6 +342,15 @@ const MergePDF = () => {
               <div className="text-sm text-gray-500 p-3 border rounded bg-gray-50">No files selected.</div>
             )}
           </div>
+
+          {items.length > 0 && !plan && (
+            <button
+              onClick={() => setPlan(planFromItems(items))}
+              className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded border border-purple-300 text-purple-700 hover:bg-purple-50 text-sm font-medium"
+            >
+              <LayoutGrid className="w-4 h-4" /> Edit individual pages
+            </button>
+          )}
         </div>
 
         <div className="space-y-3">
@@ -301,7 +363,7 @@ const MergePDF = () => {
             <div className="flex gap-3">
               <button
                 onClick={mergePDFs}
-                disabled={isProcessing || items.length < 2}
+                disabled={isProcessing || (plan ? plan.length === 0 : items.length < 2)}
                 className={`flex-1 inline-flex items-center justify-center gap-2 px-4 py-2 rounded bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-60`}
               >
                 {isProcessing ? "Merging..." : "Merge PDFs"}
@@ -325,7 +387,9 @@ const MergePDF = () => {
             {error && <div className="text-sm text-red-600 bg-red-50 p-2 rounded">{error}</div>}
 
             <div className="text-xs text-gray-500">
-              Tip: Reorder files to set the pages order in the final merged PDF.
+              {plan
+                ? "Tip: The merged PDF follows the page plan below, page by page."
+                : "Tip: Reorder files to set the pages order in the final merged PDF."}
             </div>
           </div>
 
@@ -333,10 +397,41 @@ const MergePDF = () => {
           <div className="bg-gray-50 border rounded p-3 text-sm text-gray-600">
             <div>Total files: <strong>{items.length}</strong></div>
             <div className="mt-1">Total size: <strong>{humanSize(items.reduce((s, it) => s + (it.size || 0), 0))}</strong></div>
-            <div className="mt-1">Estimated pages: <strong>{items.reduce((s, it) => s + (it.pages || 0), 0)}</strong></div>
+            <div className="mt-1">Estimated pages: <strong>{plan ? plan.length : items.reduce((s, it) => s + (it.pages || 0), 0)}</strong></div>
           </div>
         </div>
       </div>
+
+      {plan && (
+        <div className="mt-6 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="text-sm font-semibold text-gray-700">Page plan ({plan.length} pages)</h3>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <label className="inline-flex items-center gap-1 text-xs text-gray-600">
+                <input type="checkbox" checked={reverseLast} onChange={(e) => setReverseLast(e.target.checked)} />
+                Last file reversed (back sides)
+              </label>
+              <button
+                onClick={() => setPlan(interleavePlan(items, { reverseLast }))}
+                disabled={items.length < 2}
+                className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-60"
+                title="Alternate pages between files: A1, B1, A2, B2..."
+              >
+                Interleave
+              </button>
+              <button onClick={() => setPlan(planFromItems(items))} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200">
+                Reset
+              </button>
+              <button onClick={() => setPlan(null)} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200">
+                Whole files
+              </button>
+            </div>
+          </div>
+          <MergePagePlan plan={plan} items={items} previews={previews} onChange={setPlan} />
+          <p className="text-xs text-gray-500">Drag pages to reorder. Hover a page to rotate, duplicate or delete it.</p>
+        </div>
+      )}
+      <PasswordPrompt {...promptProps} />
     </div>
   );
 };
@@ -37,6 +37,7 @@ const Navbar = () => {
           <NavLink to="/" label="Home" />
           <NavLink to="/ImageReduce" label="Image Reduce" />
           <NavLink to="/remove-bg" label="Remove BG" />
+          <NavLink to="/composite-sheet" label="Photo Sheet" />
           
           {/* PDF Tools Dropdown */}
           <div className="relative group">
@@ -50,6 +51,7 @@ const Navbar = () => {
               <NavDropdownLink to="/merge-pdf" label="Merge PDF" icon="🔗" />
               <NavDropdownLink to="/compress-pdf" label="Compress PDF" icon="🗜️" />
               <NavDropdownLink to="/split-pdf" label="Split PDF" icon="✂️" />
+              <NavDropdownLink to="/protect-pdf" label="Protect PDF" icon="🔒" />
             </div>
           </div>
         </motion.div>
@@ -77,9 +79,11 @@ const Navbar = () => {
               <MobileNavLink to="/" label="Home" onClick={() => setMenuOpen(false)} />
               <MobileNavLink to="/ImageReduce" label="Image Reduce" onClick={() => setMenuOpen(false)} />
               <MobileNavLink to="/remove-bg" label="Remove BG" onClick={() => setMenuOpen(false)} />
+              <MobileNavLink to="/composite-sheet" label="Photo Sheet" onClick={() => setMenuOpen(false)} />
               <MobileNavLink to="/merge-pdf" label="Merge PDF" onClick={() => setMenuOpen(false)} />
               <MobileNavLink to="/compress-pdf" label="Compress PDF" onClick={() => setMenuOpen(false)} />
               <MobileNavLink to="/split-pdf" label="Split PDF" onClick={() => setMenuOpen(false)} />
+              <MobileNavLink to="/protect-pdf" label="Protect PDF" onClick={() => setMenuOpen(false)} />
             </div>
           </motion.div>
         )}
@@ -0,0 +1,160 @@
+import { useRef, useState } from "react";
+import PropTypes from "prop-types";
+import useThumbnailQueue from "../hooks/useThumbnailQueue";
+import PdfThumbnail from "./PdfThumbnail";
+
+/**
+ * PageThumbnailGrid
+ * - lazily renders pdf.js page thumbnails as they scroll into view
+ * - renders go through useThumbnailQueue (one observer, one render at a time),
+ *   so documents with hundreds of pages stay responsive
+ * - click toggles a page, shift-click adds the range from the last clicked page
+ * - drag a thumbnail onto another to move it there
+ * - `order` is the display order of 0-based page indices; `selected` is a Set of them
+ */
+
+const PageThumb = ({ pdf, pageIndex, position, selected, dragOver, observe, enqueue, onClick, onDragStart, onDragOver, onDrop, onDragEnd }) => (
+  <button
+    type="button"
+    draggable
+    onClick={(e) => onClick(e, pageIndex)}
+    onDragStart={(e) => onDragStart(e, position)}
+    onDragOver={(e) => onDragOver(e, position)}
+    onDrop={(e) => onDrop(e, position)}
+    onDragEnd={onDragEnd}
+    aria-pressed={selected}
+    aria-label={`Page ${pageIndex + 1}`}
+    className={`relative flex flex-col items-center gap-1 p-2 rounded-lg border-2 transition ${
+      selected ? "border-purple-600 bg-purple-50" : "border-transparent hover:border-gray-300"
+    } ${dragOver ? "ring-2 ring-sky-400" : ""}`}
+  >
+    <PdfThumbnail pdf={pdf} pageIndex={pageIndex} observe={observe} enqueue={enqueue} />
+    <span className="text-xs font-medium text-gray-700">{pageIndex + 1}</span>
+    {selected && (
+      <span className="absolute top-1 right-1 w-5 h-5 rounded-full bg-purple-600 text-white text-[10px] flex items-center justify-center">
+        ✓
+      </span>
+    )}
+  </button>
+);
+
+PageThumb.propTypes = {
+  pdf: PropTypes.object.isRequired,
+  pageIndex: PropTypes.number.isRequired,
+  position: PropTypes.number.isRequired,
+  selected: PropTypes.bool,
+  dragOver: PropTypes.bool,
+  observe: PropTypes.func.isRequired,
+  enqueue: PropTypes.func.isRequired,
+  onClick: PropTypes.func.isRequired,
+  onDragStart: PropTypes.func.isRequired,
+  onDragOver: PropTypes.func.isRequired,
+  onDrop: PropTypes.func.isRequired,
+  onDragEnd: PropTypes.func.isRequired,
+};
+
+const PageThumbnailGrid = ({ pdf, order, selected, onSelect, onReorder }) => {
+  const { containerRef, observe, enqueue } = useThumbnailQueue();
+  const anchorRef = useRef(null); // page index of the last plain click
+  const dragFromRef = useRef(null);
+  const [dragOverPos, setDragOverPos] = useState(null);
+
+  const handleClick = (e, pageIndex) => {
+    const next = new Set(selected);
+    if (e.shiftKey && anchorRef.current !== null) {
+      const a = order.indexOf(anchorRef.current);
+      const b = order.indexOf(pageIndex);
+      for (let i = Math.min(a, b); i <= Math.max(a, b); i++) next.add(order[i]);
+    } else {
+      if (next.has(pageIndex)) next.delete(pageIndex);
+      else next.add(pageIndex);
+      anchorRef.current = pageIndex;
+    }
+    onSelect(next);
+  };
+
+  const handleDragStart = (e, position) => {
+    dragFromRef.current = position;
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  const handleDragOver = (e, position) => {
+    if (dragFromRef.current === null) return;
+    e.preventDefault();
+    setDragOverPos(position);
+  };
+
+  const handleDrop = (e, position) => {
+    e.preventDefault();
+    const from = dragFromRef.current;
+    if (from === null || from === position) return;
+    const next = [...order];
+    const [moved] = next.splice(from, 1);
+    next.splice(position, 0, moved);
+    onReorder(next);
+  };
+
+  const handleDragEnd = () => {
+    dragFromRef.current = null;
+    setDragOverPos(null);
+  };
+
+  const isReordered = order.some((p, i) => p !== i);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-gray-600">
+        <span>
+          {selected.size} of {order.length} page(s) selected
+        </span>
+        <div className="flex gap-2">
+          <button type="button" onClick={() => onSelect(new Set(order))} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 font-medium">
+            All
+          </button>
+          <button type="button" onClick={() => onSelect(new Set())} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 font-medium">
+            None
+          </button>
+          {isReordered && (
+            <button type="button" onClick={() => onReorder([...order].sort((a, b) => a - b))} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 font-medium">
+              Reset order
+            </button>
+          )}
+        </div>
+      </div>
+      <div ref={containerRef} className="max-h-[28rem] overflow-y-auto rounded-lg border border-gray-200 bg-gray-50 p-2">
+        <div className="grid grid-cols-[repeat(auto-fill,minmax(140px,1fr))] gap-2 justify-items-center">
+          {order.map((pageIndex, position) => (
+            <PageThumb
+              key={pageIndex}
+              pdf={pdf}
+              pageIndex={pageIndex}
+              position={position}
+              selected={selected.has(pageIndex)}
+              dragOver={dragOverPos === position}
+              observe={observe}
+              enqueue={enqueue}
+              onClick={handleClick}
+              onDragStart={handleDragStart}
+              onDragOver={handleDragOver}
+              onDrop={handleDrop}
+              onDragEnd={handleDragEnd}
+            />
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Click to select, shift-click to select a range, drag to reorder.
+      </p>
+    </div>
+  );
+};
+
+PageThumbnailGrid.propTypes = {
+  pdf: PropTypes.object.isRequired,
+  order: PropTypes.arrayOf(PropTypes.number).isRequired,
+  selected: PropTypes.instanceOf(Set).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onReorder: PropTypes.func.isRequired,
+};
+
+export default PageThumbnailGrid;
@@ -0,0 +1,91 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { motion, AnimatePresence } from "framer-motion";
+import { Lock } from "lucide-react";
+
+/**
+ * PasswordPrompt
+ * - modal asking for the password of a protected PDF
+ * - driven by usePasswordPrompt; renders nothing while `request` is null
+ */
+
+const PasswordForm = ({ name, retry, onSubmit, onCancel }) => {
+  const [password, setPassword] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSubmit(password);
+  };
+
+  return (
+    <motion.form
+      onSubmit={submit}
+      initial={{ scale: 0.95, opacity: 0 }}
+      animate={{ scale: 1, opacity: 1 }}
+      exit={{ scale: 0.95, opacity: 0 }}
+      className="w-full max-w-sm bg-white rounded-xl shadow-xl p-6 space-y-4"
+    >
+      <div className="flex items-center gap-3">
+        <div className="w-10 h-10 rounded-full bg-purple-100 text-purple-600 flex items-center justify-center">
+          <Lock className="w-5 h-5" />
+        </div>
+        <div className="min-w-0">
+          <h2 className="font-semibold text-gray-800">Password required</h2>
+          <p className="text-sm text-gray-500 truncate" title={name}>
+            {name}
+          </p>
+        </div>
+      </div>
+
+      <input
+        type="password"
+        autoFocus
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Enter the PDF password"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+      />
+      {retry && <p className="text-sm text-red-600">Incorrect password. Please try again.</p>}
+
+      <div className="flex gap-3">
+        <button type="submit" disabled={!password} className="flex-1 bg-gradient-to-r from-purple-600 to-indigo-600 text-white font-semibold py-2 rounded-lg hover:shadow-lg transition disabled:opacity-50 disabled:cursor-not-allowed">
+          Unlock
+        </button>
+        <button type="button" onClick={onCancel} className="px-5 bg-gray-200 text-gray-700 font-semibold py-2 rounded-lg hover:bg-gray-300 transition">
+          Cancel
+        </button>
+      </div>
+    </motion.form>
+  );
+};
+
+PasswordForm.propTypes = {
+  name: PropTypes.string.isRequired,
+  retry: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+const PasswordPrompt = ({ request, onSubmit, onCancel }) => (
+  <AnimatePresence>
+    {request && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4"
+      >
+        {/* keyed so every attempt starts with an empty field */}
+        <PasswordForm key={request.id} name={request.name} retry={request.retry} onSubmit={onSubmit} onCancel={onCancel} />
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+PasswordPrompt.propTypes = {
+  request: PropTypes.shape({ id: PropTypes.number, name: PropTypes.string, retry: PropTypes.bool }),
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default PasswordPrompt;
@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { Loader } from "lucide-react";
+
+/**
+ * PdfThumbnail
+ * - renders one pdf.js page once it scrolls into view (see useThumbnailQueue)
+ * - `rotation` is extra rotation on top of the page's own, applied with CSS so
+ *   rotating doesn't re-render
+ */
+
+const PdfThumbnail = ({ pdf, pageIndex, width = 120, rotation = 0, observe, enqueue }) => {
+  const holderRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [rendered, setRendered] = useState(false);
+
+  useEffect(() => {
+    if (rendered) return;
+    let cancelled = false;
+    let visible = false;
+    let queued = false;
+
+    const render = async () => {
+      queued = false;
+      // scrolled past before its turn came; it'll be queued again when visible
+      if (cancelled || !visible) return;
+      const page = await pdf.getPage(pageIndex + 1);
+      const base = page.getViewport({ scale: 1 });
+      const dpr = window.devicePixelRatio || 1;
+      const viewport = page.getViewport({ scale: (width / base.width) * dpr });
+      const canvas = canvasRef.current;
+      if (cancelled || !canvas) return;
+      canvas.width = Math.round(viewport.width);
+      canvas.height = Math.round(viewport.height);
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+      page.cleanup();
+      if (!cancelled) setRendered(true);
+    };
+
+    const unobserve = observe(holderRef.current, (isVisible) => {
+      visible = isVisible;
+      if (visible && !queued) {
+        queued = true;
+        enqueue(render);
+      }
+    });
+    return () => {
+      cancelled = true;
+      unobserve();
+    };
+  }, [pdf, pageIndex, width, observe, enqueue, rendered]);
+
+  const sideways = rotation % 180 !== 0;
+
+  return (
+    <div
+      ref={holderRef}
+      className="relative bg-white shadow-sm flex items-center justify-center overflow-hidden"
+      style={{ width, height: Math.round(width * 1.3) }}
+    >
+      <canvas
+        ref={canvasRef}
+        style={{
+          width: sideways ? width / 1.3 : width,
+          transform: rotation ? `rotate(${rotation}deg)` : undefined,
+        }}
+        className={`transition-transform ${rendered ? "block" : "hidden"}`}
+      />
+      {!rendered && <Loader className="w-5 h-5 text-gray-300 animate-spin" />}
+    </div>
+  );
+};
+
+PdfThumbnail.propTypes = {
+  pdf: PropTypes.object.isRequired,
+  pageIndex: PropTypes.number.isRequired,
+  width: PropTypes.number,
+  rotation: PropTypes.number,
+  observe: PropTypes.func.isRequired,
+  enqueue: PropTypes.func.isRequired,
+};
+
+export default PdfThumbnail;
@@ -0,0 +1,256 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { useDropzone } from "react-dropzone";
+import { FileText, DownloadCloud, Lock, Trash2 } from "lucide-react";
+import { PdfPasswordError, protectPdf, unlockPdf } from "../utils/pdfSecurity";
+import usePasswordPrompt from "../hooks/usePasswordPrompt";
+import PasswordPrompt from "./PasswordPrompt";
+
+/**
+ * ProtectPDF component
+ * - encrypts any PDF with AES-256, including Merge/Split/Compress outputs
+ * - user password is needed to open the file; owner password lifts the restrictions
+ * - permission checkboxes for printing, copying and modifying
+ * - already-protected inputs are unlocked first (password prompt), then re-protected
+ */
+
+const MAX_SIZE_BYTES = 100 * 1024 * 1024;
+
+const PERMISSIONS = [
+  { key: "print", label: "Allow printing" },
+  { key: "copy", label: "Allow copying text and images" },
+  { key: "modify", label: "Allow editing, comments, form filling and page changes" },
+];
+
+const humanSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+const protectedName = (name) => `${name.replace(/\.pdf$/i, "")}_protected.pdf`;
+
+const ProtectPDF = () => {
+  const [file, setFile] = useState(null);
+  const [userPassword, setUserPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [ownerPassword, setOwnerPassword] = useState("");
+  const [allow, setAllow] = useState({ print: true, copy: false, modify: false });
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState("");
+  const [error, setError] = useState("");
+  const [resultUrl, setResultUrl] = useState(null);
+  const { askPassword, promptProps } = usePasswordPrompt();
+  const readSeqRef = useRef(0); // only the newest drop may touch state
+
+  useEffect(() => {
+    return () => {
+      if (resultUrl) URL.revokeObjectURL(resultUrl);
+    };
+  }, [resultUrl]);
+
+  const onDrop = useCallback(
+    async (acceptedFiles) => {
+      const f = acceptedFiles?.[0];
+      if (!f) return;
+      setError("");
+      setResultUrl(null);
+      if (f.type !== "application/pdf") {
+        setError("Only PDF files are allowed.");
+        return;
+      }
+      if (f.size === 0 || f.size > MAX_SIZE_BYTES) {
+        setError("File must be a non-empty PDF under 100 MB.");
+        return;
+      }
+
+      // a file dropped while an older one waits for its password replaces it
+      const seq = ++readSeqRef.current;
+      setProgress("Reading PDF...");
+      try {
+        const plain = await unlockPdf(f, askPassword);
+        if (seq === readSeqRef.current) setFile(plain);
+      } catch (err) {
+        if (seq !== readSeqRef.current) return;
+        console.error("readPdf error:", err);
+        setFile(null);
+        setError(
+          err instanceof PdfPasswordError
+            ? `${err.message} Enter its current password to change its protection.`
+            : "Failed to read PDF. The file may be corrupted."
+        );
+      } finally {
+        if (seq === readSeqRef.current) setProgress("");
+      }
+    },
+    [askPassword]
+  );
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: { "application/pdf": [".pdf"] },
+    multiple: false,
+  });
+
+  const restricted = PERMISSIONS.some((p) => !allow[p.key]);
+
+  const validate = () => {
+    if (!file) return "Please upload a PDF first.";
+    if (!userPassword && !ownerPassword) return "Set an open password, an owner password, or both.";
+    if (userPassword !== confirmPassword) return "The open passwords don't match.";
+    if (restricted && !ownerPassword) return "Set an owner password so the restrictions can't be lifted by anyone.";
+    if (ownerPassword && ownerPassword === userPassword) return "Use a different owner password from the open password.";
+    return "";
+  };
+
+  const protect = async () => {
+    const problem = validate();
+    setError(problem);
+    if (problem) return;
+
+    setIsProcessing(true);
+    setProgress("Encrypting with AES-256...");
+    try {
+      const blob = await protectPdf(file, { userPassword, ownerPassword, allow });
+      setResultUrl((prev) => {
+        if (prev) URL.revokeObjectURL(prev);
+        return URL.createObjectURL(blob);
+      });
+      setProgress("Done");
+    } catch (err) {
+      console.error("Protect failed:", err);
+      setError("Failed to protect the PDF. Try re-uploading the file.");
+      setProgress("");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setUserPassword("");
+    setConfirmPassword("");
+    setOwnerPassword("");
+    setResultUrl((prev) => {
+      if (prev) URL.revokeObjectURL(prev);
+      return null;
+    });
+    setError("");
+    setProgress("");
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm";
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 bg-white shadow-lg rounded-xl border border-gray-200 mt-10">
+      <motion.h2
+        initial={{ opacity: 0, y: -8 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="text-2xl font-semibold mb-2 text-gray-800"
+      >
+        Protect PDF
+      </motion.h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Add a password and choose what readers may do. Encryption happens in your browser with AES-256; nothing is uploaded.
+      </p>
+
+      {!file ? (
+        <div
+          {...getRootProps()}
+          className={`border-2 rounded-lg p-6 cursor-pointer transition text-center ${
+            isDragActive ? "border-sky-500 bg-sky-50" : "border-dashed border-gray-300 bg-gray-50 hover:border-sky-300"
+          }`}
+        >
+          <input {...getInputProps()} />
+          <p className="text-gray-700">{isDragActive ? "Drop your file here..." : "Drag & drop a PDF here or click to browse"}</p>
+          <p className="text-xs text-gray-400 mt-1">Works with merged, split and compressed PDFs too.</p>
+        </div>
+      ) : (
+        <div className="flex items-center justify-between bg-white border rounded p-3 shadow-sm">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="w-10 h-10 rounded bg-gray-100 flex items-center justify-center text-gray-500">
+              <FileText />
+            </div>
+            <div className="min-w-0">
+              <div className="text-sm font-medium text-gray-800 truncate">{file.name}</div>
+              <div className="text-xs text-gray-500">{humanSize(file.size)}</div>
+            </div>
+          </div>
+          <button onClick={reset} className="p-2 rounded hover:bg-red-50 text-red-600" aria-label="Remove file">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-700">Passwords</h3>
+          <label className="block text-xs text-gray-600">
+            Open password (needed to view the file)
+            <input type="password" autoComplete="new-password" value={userPassword} onChange={(e) => setUserPassword(e.target.value)} className={`${inputClass} mt-1`} />
+          </label>
+          <label className="block text-xs text-gray-600">
+            Confirm open password
+            <input type="password" autoComplete="new-password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={`${inputClass} mt-1`} />
+          </label>
+          <label className="block text-xs text-gray-600">
+            Owner password (lifts the restrictions)
+            <input type="password" autoComplete="new-password" value={ownerPassword} onChange={(e) => setOwnerPassword(e.target.value)} className={`${inputClass} mt-1`} />
+          </label>
+          <p className="text-xs text-gray-500">
+            Leave the open password empty to let anyone view the file while keeping the restrictions below.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-700">Permissions</h3>
+          <div className="bg-white border rounded p-4 space-y-2">
+            {PERMISSIONS.map((p) => (
+              <label key={p.key} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allow[p.key]}
+                  onChange={(e) => setAllow((prev) => ({ ...prev, [p.key]: e.target.checked }))}
+                  className="accent-purple-600"
+                />
+                {p.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={protect}
+              disabled={isProcessing || !file}
+              className="flex-1 inline-flex items-center justify-center gap-2 px-4 py-2 rounded bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-60"
+            >
+              <Lock className="w-4 h-4" /> {isProcessing ? "Protecting..." : "Protect PDF"}
+            </button>
+
+            {resultUrl && (
+              <a
+                href={resultUrl}
+                download={protectedName(file.name)}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded bg-emerald-600 text-white hover:bg-emerald-700"
+              >
+                <DownloadCloud /> Download
+              </a>
+            )}
+          </div>
+
+          {progress && <div className="text-sm text-gray-600">{progress}</div>}
+          {error && <div className="text-sm text-red-600 bg-red-50 p-2 rounded">{error}</div>}
+        </div>
+      </div>
+
+      <div className="mt-4 text-xs text-gray-500">
+        Note: Permissions are honoured by standard PDF readers, but a determined user with the file and the open password
+        can still bypass them. Only the open password actually keeps the content private.
+      </div>
+      <PasswordPrompt {...promptProps} />
+    </div>
+  );
+};
+
+export default ProtectPDF;
@@ -1,15 +1,90 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
-import { Upload, Download, Loader, AlertCircle, Check } from "lucide-react";
+import { Upload, Download, Loader, AlertCircle, Check, ArrowRight, Paintbrush } from "lucide-react";
+import { MIME_BY_FORMAT, bytesToKB, canvasToBlob } from "../utils/imageFit";
+import { BACKGROUND_COLORS, composeCutout } from "../utils/backgroundCompose";
+import MaskEditor from "./MaskEditor";
+
+const BACKGROUND_TYPES = [
+  { value: "transparent", label: "None" },
+  { value: "color", label: "Colour" },
+  { value: "gradient", label: "Gradient" },
+  { value: "image", label: "Image" },
+];
+const OUTPUT_FORMATS = ["png", "jpeg", "webp"];
+const EXTENSIONS = { png: "png", jpeg: "jpg", webp: "webp" };
 
 const Removebg = () => {
   const [preview, setPreview] = useState(null); // data URL for preview
   const [file, setFile] = useState(null); // actual File object
-  const [processedImage, setProcessedImage] = useState(null);
+  const [processedImage, setProcessedImage] = useState(null); // { url, blob, sizeKB }
+  const [cutout, setCutout] = useState(null); // ImageBitmap of the transparent result
+  const [editingMask, setEditingMask] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState(false);
+  const [bgType, setBgType] = useState("transparent");
+  const [bgColor, setBgColor] = useState("#ffffff");
+  const [gradient, setGradient] = useState({ from: "#ffffff", to: "#bfdbfe", style: "vertical" });
+  const [bgImage, setBgImage] = useState(null); // ImageBitmap
+  const [feather, setFeather] = useState(1);
+  const [outFormat, setOutFormat] = useState("png");
+  const [outQuality, setOutQuality] = useState(90);
+  const [outWidth, setOutWidth] = useState("");
+  const [outHeight, setOutHeight] = useState("");
+  const [fit, setFit] = useState("pad"); // "pad" | "crop" when a size is set
   const fileInputRef = useRef(null);
+  const bgInputRef = useRef(null);
+  const resultUrlRef = useRef(null);
+  const navigate = useNavigate();
+
+  // Re-compose whenever the cutout or any output option changes
+  useEffect(() => {
+    if (!cutout) return;
+    let cancelled = false;
+
+    const compose = async () => {
+      let background = { type: "transparent" };
+      if (bgType === "color") background = { type: "color", color: bgColor };
+      if (bgType === "gradient") background = { type: "gradient", ...gradient };
+      if (bgType === "image" && bgImage) background = { type: "image", image: bgImage };
+      // JPEG has no alpha channel; portals expect white anyway
+      if (background.type === "transparent" && outFormat === "jpeg") {
+        background = { type: "color", color: "#ffffff" };
+      }
+
+      const canvas = composeCutout(cutout, {
+        background,
+        feather,
+        width: Number(outWidth) || 0,
+        height: Number(outHeight) || 0,
+        fit,
+      });
+      const blob = await canvasToBlob(canvas, MIME_BY_FORMAT[outFormat], outQuality / 100);
+      if (cancelled || !blob) return;
+
+      if (resultUrlRef.current) URL.revokeObjectURL(resultUrlRef.current);
+      resultUrlRef.current = URL.createObjectURL(blob);
+      setProcessedImage({ url: resultUrlRef.current, blob, sizeKB: bytesToKB(blob.size) });
+    };
+
+    compose();
+    return () => {
+      cancelled = true;
+    };
+  }, [cutout, bgType, bgColor, gradient, bgImage, feather, outFormat, outQuality, outWidth, outHeight, fit]);
+
+  useEffect(() => {
+    return () => {
+      if (resultUrlRef.current) URL.revokeObjectURL(resultUrlRef.current);
+    };
+  }, []);
+
+  // bitmaps hold decoded pixels until closed: free each one when it's replaced,
+  // reset or the page unmounts
+  useEffect(() => () => cutout?.close(), [cutout]);
+  useEffect(() => () => bgImage?.close(), [bgImage]);
 
   const handleImageUpload = (e) => {
     const f = e.target.files?.[0];
@@ -17,6 +92,8 @@ const Removebg = () => {
     setError("");
     setSuccess(false);
     setProcessedImage(null);
+    setCutout(null);
+    setEditingMask(false);
 
     if (!f.type.startsWith("image/")) {
       setError("Please upload a valid image file");
@@ -52,13 +129,12 @@ const Removebg = () => {
       });
 
       if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error(txt || "Failed to remove background");
+        const data = await resp.json().catch(() => null);
+        throw new Error(data?.error || "Failed to remove background");
       }
 
       const blob = await resp.blob();
-      const url = URL.createObjectURL(blob);
-      setProcessedImage(url);
+      setCutout(await createImageBitmap(blob));
       setSuccess(true);
     } catch (err) {
       console.error(err);
@@ -68,20 +144,47 @@ const Removebg = () => {
     }
   };
 
+  const handleBgImageUpload = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    try {
+      setBgImage(await createImageBitmap(f));
+      setBgType("image");
+    } catch {
+      setError("Could not read the background image");
+    }
+  };
+
+  const applyMaskEdits = async (canvas) => {
+    setCutout(await createImageBitmap(canvas));
+    setEditingMask(false);
+  };
+
+  const fileName = () => `removed-bg.${EXTENSIONS[outFormat]}`;
+
   const downloadImage = () => {
     if (!processedImage) return;
     const link = document.createElement("a");
-    link.href = processedImage;
-    link.download = "removed-bg.png";
+    link.href = processedImage.url;
+    link.download = fileName();
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
   };
 
+  // ImageReduce picks the file up from router state and applies the exam preset
+  const sendToImageReduce = () => {
+    if (!processedImage) return;
+    const result = new File([processedImage.blob], fileName(), { type: processedImage.blob.type });
+    navigate("/ImageReduce", { state: { file: result } });
+  };
+
   const resetForm = () => {
     setPreview(null);
     setFile(null);
     setProcessedImage(null);
+    setCutout(null);
+    setEditingMask(false);
     setError("");
     setSuccess(false);
     if (fileInputRef.current) fileInputRef.current.value = "";
@@ -151,15 +254,112 @@ const Removebg = () => {
           <motion.div initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} transition={{ duration: 0.5, delay: 0.1 }} className="bg-white rounded-2xl shadow-lg p-8">
             <h2 className="text-2xl font-bold text-gray-800 mb-6">Result</h2>
 
-            {processedImage ? (
+            {editingMask && cutout ? (
+              <MaskEditor cutout={cutout} original={file} onApply={applyMaskEdits} onCancel={() => setEditingMask(false)} />
+            ) : processedImage ? (
               <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} transition={{ duration: 0.3 }} className="space-y-6">
                 <div className="bg-gradient-to-br from-gray-100 to-gray-200 rounded-lg p-4 flex items-center justify-center min-h-64">
-                  <img src={processedImage} alt="Processed" className="max-w-full max-h-64 object-contain" />
+                  <img src={processedImage.url} alt="Processed" className="max-w-full max-h-64 object-contain" />
+                </div>
+
+                <button onClick={() => setEditingMask(true)} className="w-full bg-gray-100 text-gray-700 font-semibold py-2 rounded-lg hover:bg-gray-200 transition flex items-center justify-center gap-2">
+                  <Paintbrush className="w-4 h-4" />
+                  Refine Edges
+                </button>
+
+                <div>
+                  <p className="text-gray-700 font-semibold mb-2">Background</p>
+                  <div className="grid grid-cols-4 gap-2">
+                    {BACKGROUND_TYPES.map((t) => (
+                      <button
+                        key={t.value}
+                        onClick={() => (t.value === "image" && !bgImage ? bgInputRef.current?.click() : setBgType(t.value))}
+                        className={`py-2 rounded-lg text-sm font-semibold transition ${bgType === t.value ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"}`}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                  </div>
+                  <input ref={bgInputRef} type="file" accept="image/*" onChange={handleBgImageUpload} className="hidden" />
+
+                  {bgType === "color" && (
+                    <div className="mt-3 flex items-center gap-2">
+                      {BACKGROUND_COLORS.map((c) => (
+                        <button
+                          key={c.value}
+                          title={c.label}
+                          onClick={() => setBgColor(c.value)}
+                          className={`w-8 h-8 rounded-full border-2 ${bgColor === c.value ? "border-blue-600" : "border-gray-300"}`}
+                          style={{ backgroundColor: c.value }}
+                        />
+                      ))}
+                      <input type="color" value={bgColor} onChange={(e) => setBgColor(e.target.value)} className="w-10 h-8 cursor-pointer" title="Custom colour" />
+                    </div>
+                  )}
+
+                  {bgType === "gradient" && (
+                    <div className="mt-3 flex items-center gap-3">
+                      <input type="color" value={gradient.from} onChange={(e) => setGradient({ ...gradient, from: e.target.value })} className="w-10 h-8 cursor-pointer" title="From" />
+                      <input type="color" value={gradient.to} onChange={(e) => setGradient({ ...gradient, to: e.target.value })} className="w-10 h-8 cursor-pointer" title="To" />
+                      <select value={gradient.style} onChange={(e) => setGradient({ ...gradient, style: e.target.value })} className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm">
+                        <option value="vertical">Top to bottom</option>
+                        <option value="radial">Radial</option>
+                      </select>
+                    </div>
+                  )}
+
+                  {bgType === "image" && (
+                    <button onClick={() => bgInputRef.current?.click()} className="mt-3 text-sm text-blue-600 font-semibold hover:underline">
+                      Choose a different image
+                    </button>
+                  )}
+                </div>
+
+                <div>
+                  <label className="text-gray-700 font-semibold">Edge feather: {feather}px</label>
+                  <input type="range" min="0" max="10" value={feather} onChange={(e) => setFeather(Number(e.target.value))} className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600" />
+                </div>
+
+                <div>
+                  <p className="text-gray-700 font-semibold mb-2">Output</p>
+                  <div className="grid grid-cols-3 gap-2">
+                    {OUTPUT_FORMATS.map((f) => (
+                      <button
+                        key={f}
+                        onClick={() => setOutFormat(f)}
+                        className={`py-2 rounded-lg text-sm font-semibold uppercase transition ${outFormat === f ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"}`}
+                      >
+                        {f}
+                      </button>
+                    ))}
+                  </div>
+                  {outFormat === "jpeg" && bgType === "transparent" && <p className="text-gray-500 text-xs mt-1">JPEG has no transparency, so a white background is used.</p>}
+
+                  {outFormat !== "png" && (
+                    <div className="mt-3">
+                      <label className="text-gray-600 text-sm">Quality: {outQuality}%</label>
+                      <input type="range" min="50" max="100" value={outQuality} onChange={(e) => setOutQuality(Number(e.target.value))} className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600" />
+                    </div>
+                  )}
+
+                  <div className="mt-3 grid grid-cols-3 gap-2">
+                    <input type="number" min="1" placeholder={`W (${cutout?.width ?? ""})`} value={outWidth} onChange={(e) => setOutWidth(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                    <input type="number" min="1" placeholder={`H (${cutout?.height ?? ""})`} value={outHeight} onChange={(e) => setOutHeight(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                    <select value={fit} onChange={(e) => setFit(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2 text-sm">
+                      <option value="pad">Fit</option>
+                      <option value="crop">Fill</option>
+                    </select>
+                  </div>
+                  <p className="text-gray-500 text-sm mt-2">{processedImage.sizeKB} KB</p>
                 </div>
 
                 <button onClick={downloadImage} className="w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold py-3 rounded-lg hover:shadow-lg transition flex items-center justify-center gap-2">
                   <Download className="w-5 h-5" />
-                  Download Image
+                  Download {outFormat.toUpperCase()}
+                </button>
+                <button onClick={sendToImageReduce} className="w-full bg-white border-2 border-blue-600 text-blue-600 font-semibold py-3 rounded-lg hover:bg-blue-50 transition flex items-center justify-center gap-2">
+                  Resize for an exam
+                  <ArrowRight className="w-5 h-5" />
                 </button>
               </motion.div>
             ) : (
@@ -178,7 +378,9 @@ const Removebg = () => {
           <ul className="space-y-2 text-gray-600">
             <li>✓ Upload any image (JPG, PNG)</li>
             <li>✓ AI automatically detects and removes the background</li>
-            <li>✓ Download the result as PNG with transparent background</li>
+            <li>✓ Fix missed hair or edges with erase/restore brushes</li>
+            <li>✓ Put it on a plain colour, gradient or your own image, with softened edges</li>
+            <li>✓ Download as PNG, JPEG or WebP, or send it straight to exam resizing</li>
             <li>✓ Free to use with high accuracy</li>
           </ul>
         </motion.div>
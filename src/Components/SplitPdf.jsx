@@ -10,13 +10,34 @@ import {
   AlertCircle,
   CheckCircle,
 } from "lucide-react";
+import {
+  parseRanges,
+  rangeLabel,
+  splitByOutline,
+  splitEachPage,
+  splitEvery,
+  splitIntoParts,
+  splitOddEven,
+} from "../utils/pageRanges";
+import pdfjsLib, { LOCAL_DATA_OPTIONS } from "../utils/pdfjs";
+import { readOutline } from "../utils/pdfOutline";
+import { saveZip } from "../utils/zip";
+import { uniqueName } from "../utils/fileNames";
+import PageThumbnailGrid from "./PageThumbnailGrid";
+import { PdfPasswordError, unlockPdf } from "../utils/pdfSecurity";
+import usePasswordPrompt from "../hooks/usePasswordPrompt";
+import PasswordPrompt from "./PasswordPrompt";
 
 /**
  * Production-ready SplitPDF component
  * - Drag & drop or click upload
  * - Shows page count before splitting
- * - Split into individual pages with progress
- * - Download all or individual pages
+ * - Split per page, by range expression ("1-3,4-10,11-end"), every N pages,
+ *   into K equal parts, by bookmark (outline read with pdf.js), or extract
+ *   odd/even pages
+ * - Pick pages from a lazy thumbnail grid and drag them into a new order
+ * - Output files are named after the pages they cover
+ * - Download individual files, or everything as one ZIP with a manifest
  * - Bulk operations (download all, clear)
  * - Accessible, responsive UI
  */
@@ -34,15 +55,62 @@ const isPdfFile = (file) => {
   return file.name?.toLowerCase().endsWith(".pdf");
 };
 
+const SPLIT_MODES = [
+  { value: "each", label: "Every page" },
+  { value: "select", label: "Pick pages" },
+  { value: "ranges", label: "Custom ranges" },
+  { value: "every", label: "Every N pages" },
+  { value: "parts", label: "Equal parts" },
+  { value: "odd", label: "Odd pages" },
+  { value: "even", label: "Even pages" },
+  { value: "bookmarks", label: "Bookmarks" },
+];
+
+const baseName = (file) => file.name.replace(/\.pdf$/i, "");
+
+const safeTitle = (title) =>
+  title
+    .replace(/[\\/:*?"<>|]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80) || "Untitled";
+
+// "report_pages_1-3.pdf", "report_page_7.pdf", "report_odd_pages.pdf",
+// "01_Introduction.pdf" for bookmarks
+const outputName = (file, group, index) => {
+  if (group.title) {
+    return `${String(index + 1).padStart(2, "0")}_${safeTitle(group.title)}.pdf`;
+  }
+  if (group.label === "odd" || group.label === "even") {
+    return `${baseName(file)}_${group.label}_pages.pdf`;
+  }
+  const label = group.label.replace(/,/g, "_");
+  if (label.length > 60) return `${baseName(file)}_selected_pages.pdf`;
+  return group.pages.length === 1
+    ? `${baseName(file)}_page_${label}.pdf`
+    : `${baseName(file)}_pages_${label}.pdf`;
+};
+
 const SplitPDF = () => {
   const [file, setFile] = useState(null);
   const [pages, setPages] = useState(null);
   const [isSplitting, setIsSplitting] = useState(false);
   const [progress, setProgress] = useState("");
   const [error, setError] = useState("");
-  const [splitPages, setSplitPages] = useState(null); // Array of { url, pageNum, size }
+  const [splitPages, setSplitPages] = useState(null); // Array of { url, blob, label, name, pageCount, size }
+  const [mode, setMode] = useState("each");
+  const [rangeExpr, setRangeExpr] = useState("");
+  const [everyN, setEveryN] = useState(2);
+  const [partCount, setPartCount] = useState(2);
+  const [outline, setOutline] = useState(null); // [{ title, depth, pageIndex }]
+  const [outlineDepth, setOutlineDepth] = useState(1);
+  const [previewDoc, setPreviewDoc] = useState(null); // pdf.js document for outline + thumbnails
+  const [pageOrder, setPageOrder] = useState([]); // 0-based indices in display order
+  const [selectedPages, setSelectedPages] = useState(new Set());
   const [dragActive, setDragActive] = useState(false);
   const inputRef = useRef(null);
+  const readSeqRef = useRef(0); // only the newest readPdfPages may touch state
+  const { askPassword, promptProps } = usePasswordPrompt();
 
   useEffect(() => {
     return () => {
@@ -54,10 +122,19 @@ const SplitPDF = () => {
     };
   }, [splitPages]);
 
+  useEffect(() => {
+    return () => {
+      previewDoc?.destroy();
+    };
+  }, [previewDoc]);
+
   const handleFileSet = (f) => {
     setError("");
     setSplitPages(null);
     setPages(null);
+    setOutline(null);
+    setPreviewDoc(null);
+    setSelectedPages(new Set());
     if (!isPdfFile(f)) {
       setError("Only PDF files are supported.");
       return false;
@@ -75,16 +152,52 @@ const SplitPDF = () => {
   };
 
   const readPdfPages = async (f) => {
+    // a file dropped while an older one waits for its password replaces it
+    const seq = ++readSeqRef.current;
+    const stale = () => seq !== readSeqRef.current;
     try {
       setProgress("Reading PDF...");
-      const arrayBuffer = await f.arrayBuffer();
+      // protected files are swapped for a decrypted copy before anything else reads them
+      const plain = await unlockPdf(f, askPassword);
+      if (stale()) return;
+      if (plain !== f) setFile(plain);
+      const arrayBuffer = await plain.arrayBuffer();
       const pdf = await PDFDocument.load(arrayBuffer, { ignoreEncryption: true });
+      if (stale()) return;
       const pageCount = pdf.getPageCount();
       setPages(pageCount);
+      setPageOrder(Array.from({ length: pageCount }, (_, i) => i));
+
+      // thumbnails and bookmarks are optional; pdf.js trouble shouldn't block other modes
+      try {
+        // pdf.js takes ownership of the bytes, so give it a copy
+        const doc = await pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer.slice(0)), ...LOCAL_DATA_OPTIONS }).promise;
+        if (stale()) {
+          doc.destroy();
+          return;
+        }
+        setPreviewDoc(doc);
+        try {
+          setOutline(await readOutline(doc));
+          setOutlineDepth(1);
+        } catch (err) {
+          console.warn("readOutline error:", err);
+          setOutline([]);
+        }
+      } catch (err) {
+        console.warn("pdf.js load error:", err);
+        setOutline([]);
+      }
       setProgress("");
     } catch (err) {
+      if (stale()) return;
       console.error("readPdf error:", err);
-      setError("Failed to read PDF. The file may be corrupted.");
+      if (err instanceof PdfPasswordError) {
+        setFile(null);
+        setError(`${err.message} Enter its password to split it.`);
+      } else {
+        setError("Failed to read PDF. The file may be corrupted.");
+      }
       setProgress("");
     }
   };
@@ -125,6 +238,29 @@ const SplitPDF = () => {
     if (ok) readPdfPages(f);
   };
 
+  const buildGroups = (pageCount) => {
+    switch (mode) {
+      case "ranges":
+        return parseRanges(rangeExpr, pageCount);
+      case "every":
+        return splitEvery(pageCount, everyN);
+      case "parts":
+        return splitIntoParts(pageCount, partCount);
+      case "odd":
+      case "even":
+        return splitOddEven(pageCount, mode);
+      case "bookmarks":
+        return splitByOutline(outline || [], pageCount, outlineDepth);
+      case "select": {
+        const picked = pageOrder.filter((p) => selectedPages.has(p));
+        if (!picked.length) throw new Error("Select at least one page to extract.");
+        return [{ label: rangeLabel(picked), pages: picked }];
+      }
+      default:
+        return splitEachPage(pageCount);
+    }
+  };
+
   const split = async () => {
     setError("");
     if (!file) {
@@ -141,16 +277,26 @@ const SplitPDF = () => {
       const pdfDoc = await PDFDocument.load(arrayBuffer, {
         ignoreEncryption: true,
       });
-      const pageIndices = pdfDoc.getPageIndices();
+
+      let groups;
+      try {
+        groups = buildGroups(pdfDoc.getPageCount());
+      } catch (err) {
+        setError(err.message);
+        setProgress("");
+        return;
+      }
 
       const results = [];
+      // repeated ranges give repeated names, and the files share the ZIP with the manifest
+      const taken = new Set(["manifest.json"]);
 
-      for (let i = 0; i < pageIndices.length; i++) {
-        setProgress(`Splitting page ${i + 1} / ${pageIndices.length}...`);
+      for (let i = 0; i < groups.length; i++) {
+        setProgress(`Creating file ${i + 1} / ${groups.length}...`);
 
         const newPdf = await PDFDocument.create();
-        const [copiedPage] = await newPdf.copyPages(pdfDoc, [pageIndices[i]]);
-        newPdf.addPage(copiedPage);
+        const copiedPages = await newPdf.copyPages(pdfDoc, groups[i].pages);
+        copiedPages.forEach((page) => newPdf.addPage(page));
 
         const pdfBytes = await newPdf.save();
         const blob = new Blob([pdfBytes], { type: "application/pdf" });
@@ -158,7 +304,11 @@ const SplitPDF = () => {
 
         results.push({
           url,
-          pageNum: i + 1,
+          blob,
+          label: groups[i].label,
+          title: groups[i].title,
+          name: uniqueName(outputName(file, groups[i], i), taken),
+          pageCount: groups[i].pages.length,
           size: blob.size,
         });
       }
@@ -177,31 +327,41 @@ const SplitPDF = () => {
   const downloadAll = async () => {
     if (!splitPages || splitPages.length === 0) return;
 
+    const manifest = {
+      source: file.name,
+      sourcePages: pages,
+      createdAt: new Date().toISOString(),
+      files: splitPages.map((p) => ({
+        name: p.name,
+        ...(p.title && { title: p.title }),
+        pages: p.label,
+        pageCount: p.pageCount,
+        size: p.size,
+      })),
+    };
+    const entries = [
+      ...splitPages.map((p) => ({ name: p.name, data: p.blob })),
+      { name: "manifest.json", data: JSON.stringify(manifest, null, 2) },
+    ];
+
     try {
-      setProgress("Preparing download...");
-      for (let i = 0; i < splitPages.length; i++) {
-        const p = splitPages[i];
-        const a = document.createElement("a");
-        a.href = p.url;
-        a.download = `${file.name.replace(".pdf", "")}_page_${p.pageNum}.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        // Stagger downloads
-        await new Promise((resolve) => setTimeout(resolve, 200));
-      }
-      setProgress("All pages downloaded");
+      setProgress("Preparing ZIP...");
+      const saved = await saveZip(entries, `${baseName(file)}_split.zip`, (i, total) =>
+        setProgress(`Adding file ${i} / ${total} to ZIP...`)
+      );
+      setProgress(saved ? "ZIP downloaded" : "");
       setTimeout(() => setProgress(""), 1500);
     } catch (err) {
       console.error(err);
-      setError("Failed to download all pages.");
+      setError("Failed to build the ZIP.");
+      setProgress("");
     }
   };
 
   const downloadSingle = (p) => {
     const a = document.createElement("a");
     a.href = p.url;
-    a.download = `${file.name.replace(".pdf", "")}_page_${p.pageNum}.pdf`;
+    a.download = p.name;
     document.body.appendChild(a);
     a.click();
     a.remove();
@@ -210,6 +370,10 @@ const SplitPDF = () => {
   const reset = () => {
     setFile(null);
     setPages(null);
+    setOutline(null);
+    setPreviewDoc(null);
+    setPageOrder([]);
+    setSelectedPages(new Set());
     setSplitPages((prev) => {
       if (prev) {
         prev.forEach((p) => {
@@ -233,8 +397,8 @@ const SplitPDF = () => {
       >
         <h2 className="text-3xl font-bold text-gray-800 mb-2">Split PDF</h2>
         <p className="text-sm text-gray-600">
-          Extract individual pages from your PDF. Each page becomes a separate
-          file.
+          Split your PDF by page, by custom ranges, every N pages, into equal
+          parts, or pull out the odd or even pages.
         </p>
       </motion.div>
 
@@ -301,6 +465,118 @@ const SplitPDF = () => {
             </div>
           </div>
 
+          <div>
+            <div className="text-sm font-semibold text-gray-700 mb-2">
+              Split Mode
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              {SPLIT_MODES.map((m) => (
+                <button
+                  key={m.value}
+                  onClick={() => setMode(m.value)}
+                  disabled={m.value === "bookmarks" && outline?.length === 0}
+                  title={
+                    m.value === "bookmarks" && outline?.length === 0
+                      ? "This PDF has no bookmarks"
+                      : undefined
+                  }
+                  className={`px-2 py-2 rounded-lg text-xs font-medium border transition disabled:opacity-40 disabled:cursor-not-allowed ${
+                    mode === m.value
+                      ? "bg-purple-600 text-white border-purple-600"
+                      : "bg-white text-gray-700 border-gray-300 hover:border-purple-300"
+                  }`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+
+            {mode === "ranges" && (
+              <div className="mt-3">
+                <input
+                  type="text"
+                  value={rangeExpr}
+                  onChange={(e) => setRangeExpr(e.target.value)}
+                  placeholder="e.g. 1-3, 4-10, 11-end"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-300"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  One file per comma-separated range. Use &quot;end&quot; for
+                  the last page; &quot;10-1&quot; reverses.
+                </p>
+              </div>
+            )}
+
+            {mode === "every" && (
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                Pages per file
+                <input
+                  type="number"
+                  min="1"
+                  value={everyN}
+                  onChange={(e) => setEveryN(e.target.value)}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+            )}
+
+            {mode === "select" &&
+              (previewDoc ? (
+                <div className="mt-3">
+                  <PageThumbnailGrid
+                    pdf={previewDoc}
+                    order={pageOrder}
+                    selected={selectedPages}
+                    onSelect={setSelectedPages}
+                    onReorder={setPageOrder}
+                  />
+                </div>
+              ) : (
+                <p className="mt-3 text-xs text-gray-500">
+                  {!file
+                    ? "Upload a PDF to pick pages."
+                    : outline
+                    ? "Page previews aren't available for this PDF."
+                    : "Loading page previews..."}
+                </p>
+              ))}
+
+            {mode === "bookmarks" && outline?.length > 0 && (
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                Bookmark level
+                <select
+                  value={outlineDepth}
+                  onChange={(e) => setOutlineDepth(Number(e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Array.from(
+                    { length: Math.max(...outline.map((o) => o.depth)) },
+                    (_, i) => i + 1
+                  ).map((d) => (
+                    <option key={d} value={d}>
+                      {`${d === 1 ? "Top level" : `Down to level ${d}`} (${
+                        outline.filter((o) => o.depth <= d).length
+                      })`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {mode === "parts" && (
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                Number of parts
+                <input
+                  type="number"
+                  min="1"
+                  value={partCount}
+                  onChange={(e) => setPartCount(e.target.value)}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+            )}
+          </div>
+
           <AnimatePresence>
             {error && (
               <motion.div
@@ -373,7 +649,7 @@ const SplitPDF = () => {
               <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-4">
                 <div className="flex items-center gap-2 text-emerald-700 font-medium">
                   <CheckCircle className="w-5 h-5" />
-                  Successfully split into {splitPages.length} page(s)
+                  Successfully split into {splitPages.length} file(s)
                 </div>
               </div>
 
@@ -381,7 +657,7 @@ const SplitPDF = () => {
                 onClick={downloadAll}
                 className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 font-medium"
               >
-                <Download className="w-5 h-5" /> Download All Pages
+                <Download className="w-5 h-5" /> Download All as ZIP
               </button>
 
               <div className="space-y-2 max-h-96 overflow-y-auto">
@@ -395,14 +671,18 @@ const SplitPDF = () => {
                   >
                     <div className="flex items-center gap-3 min-w-0">
                       <div className="w-10 h-10 rounded bg-blue-100 flex items-center justify-center text-blue-600 font-semibold text-sm">
-                        {p.pageNum}
+                        {idx + 1}
                       </div>
                       <div className="min-w-0">
-                        <div className="text-sm font-medium text-gray-800">
-                          Page {p.pageNum}
+                        <div className="text-sm font-medium text-gray-800 truncate">
+                          {p.title ||
+                            (p.label === "odd" || p.label === "even"
+                              ? `${p.label === "odd" ? "Odd" : "Even"} pages`
+                              : `${p.pageCount === 1 ? "Page" : "Pages"} ${p.label}`)}
                         </div>
                         <div className="text-xs text-gray-500">
-                          {humanSize(p.size)}
+                          {p.title && `Pages ${p.label} • `}
+                          {p.pageCount} page(s) • {humanSize(p.size)}
                         </div>
                       </div>
                     </div>
@@ -418,8 +698,8 @@ const SplitPDF = () => {
               </div>
 
               <div className="text-xs text-gray-500 bg-gray-50 p-3 rounded-lg">
-                Tip: Click "Download All Pages" to save all pages at once, or
-                download individual pages as needed.
+                Tip: &quot;Download All as ZIP&quot; saves every file plus a
+                manifest.json listing page ranges and sizes.
               </div>
             </motion.div>
           ) : (
@@ -427,13 +707,14 @@ const SplitPDF = () => {
               <FileText className="mx-auto text-gray-300 w-12 h-12" />
               <p className="mt-3 text-sm text-gray-600">
                 {file
-                  ? "Click 'Split PDF' to begin splitting into individual pages"
+                  ? "Choose a split mode and click 'Split PDF' to begin"
                   : "Upload a PDF to see split results here"}
               </p>
             </div>
           )}
         </motion.div>
       </div>
+      <PasswordPrompt {...promptProps} />
     </div>
   );
 };
@@ -39,6 +39,13 @@ const Home = () => {
       icon: "🖼️",
       path: "/ImageReduce",
     },
+    {
+      id: "composite",
+      title: "Photo + Signature Sheet",
+      description: "Combine photo, signature and thumb impression into one exam image.",
+      icon: "🪪",
+      path: "/composite-sheet",
+    },
     {
       id: "merge",
       title: "Merge PDFs",
@@ -60,6 +67,13 @@ const Home = () => {
       icon: "📦",
       path: "/compress-pdf",
     },
+    {
+      id: "protect",
+      title: "Protect PDFs",
+      description: "Add a password with AES-256 and control printing, copying and editing.",
+      icon: "🔒",
+      path: "/protect-pdf",
+    },
   ];
 
   return (
@@ -256,6 +270,7 @@ All in One Place</p>
               <h4 className="font-semibold text-white mb-4">Tools</h4>
               <ul className="text-sm space-y-2">
                 <li><a href="#tools" className="hover:text-white transition">Image Reducer</a></li>
+                <li><a href="#tools" className="hover:text-white transition">Photo + Signature Sheet</a></li>
                 <li><a href="#tools" className="hover:text-white transition">Merge PDFs</a></li>
                 <li><a href="#tools" className="hover:text-white transition">Split PDFs</a></li>
                 <li><a href="#tools" className="hover:text-white transition">Compress PDFs</a></li>
@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+
+// Fallback presets until /api/exam-sizes answers (or when the server is down)
+export const DEFAULT_EXAM_SIZES = {
+  "JEE Main": {
+    photo: { width: 350, height: 450, minKB: 10, maxKB: 100, exact: true, formats: ["jpeg"] },
+    signature: { width: 160, height: 50, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
+  },
+  NEET: {
+    photo: { width: 350, height: 450, minKB: 10, maxKB: 100, exact: true, formats: ["jpeg"] },
+    signature: { width: 160, height: 50, minKB: 4, maxKB: 30, exact: true, formats: ["jpeg"] },
+  },
+  SSC: {
+    photo: { width: 200, height: 230, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 140, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+  },
+  UPSC: {
+    photo: { width: 300, height: 350, minKB: 10, maxKB: 40, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 80, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+  },
+  GATE: {
+    photo: { width: 240, height: 320, minKB: 10, maxKB: 50, exact: true, formats: ["jpeg"] },
+    signature: { width: 200, height: 60, minKB: 4, maxKB: 20, exact: true, formats: ["jpeg"] },
+  },
+};
+
+const CACHE_KEY = "examSizes";
+
+// Last registry snapshot: { version, examSizes }
+const readCache = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return cached?.version && cached?.examSizes ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * useExamSizes
+ * - starts with the cached registry (or DEFAULT_EXAM_SIZES) and swaps in the
+ *   backend presets once fetched
+ * - revalidates the cache with If-None-Match; a 304 keeps the cached copy
+ * - returns { examSizes, version, loading }
+ */
+const useExamSizes = () => {
+  const [cache] = useState(readCache);
+  const [examSizes, setExamSizes] = useState(cache?.examSizes || DEFAULT_EXAM_SIZES);
+  const [version, setVersion] = useState(cache?.version || null);
+  const [examSizesLoading, setExamSizesLoading] = useState(false);
+
+  // Fetch exam sizes from backend once
+  useEffect(() => {
+    let mounted = true;
+    const endpoint = "http://localhost:3001/api/exam-sizes";
+
+    const fetchSizes = async () => {
+      try {
+        setExamSizesLoading(true);
+        const res = await fetch(endpoint, {
+          headers: cache ? { "If-None-Match": `"${cache.version}"` } : {},
+        });
+        if (res.status === 304 || !res.ok) return;
+        const data = await res.json();
+        if (!mounted) return;
+
+        // backend returns: { version, updatedAt, examSizes: {...} }
+        const sizes = data?.examSizes || data;
+        if (sizes && typeof sizes === "object") {
+          setExamSizes(sizes);
+          setVersion(data?.version || null);
+          if (data?.version) {
+            localStorage.setItem(
+              CACHE_KEY,
+              JSON.stringify({ version: data.version, examSizes: sizes })
+            );
+          }
+        }
+      } catch {
+        // keep defaults
+      } finally {
+        if (mounted) setExamSizesLoading(false);
+      }
+    };
+
+    fetchSizes();
+    return () => {
+      mounted = false;
+    };
+  }, [cache]);
+
+  return { examSizes, version, loading: examSizesLoading };
+};
+
+export default useExamSizes;
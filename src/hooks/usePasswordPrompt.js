@@ -0,0 +1,42 @@
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * usePasswordPrompt:
+ * - promise-based bridge between unlockPdf and the PasswordPrompt dialog
+ * - `askPassword({ name, retry })` opens the dialog and resolves to the
+ *   password, or null on cancel
+ * - returns { askPassword, promptProps } (spread promptProps onto <PasswordPrompt />)
+ * - requests made while the dialog is open wait in line and are asked in
+ *   order, so every caller's promise settles
+ */
+const usePasswordPrompt = () => {
+  const [queue, setQueue] = useState([]); // [{ id, name, retry, resolve }]
+  const seqRef = useRef(0);
+
+  const askPassword = useCallback(
+    ({ name, retry }) =>
+      new Promise((resolve) => {
+        const id = ++seqRef.current;
+        setQueue((prev) => [...prev, { id, name, retry, resolve }]);
+      }),
+    []
+  );
+
+  const request = queue[0] || null;
+  const answer = (password) => {
+    if (!request) return;
+    request.resolve(password);
+    setQueue((prev) => prev.filter((r) => r !== request));
+  };
+
+  return {
+    askPassword,
+    promptProps: {
+      request: request && { id: request.id, name: request.name, retry: request.retry },
+      onSubmit: answer,
+      onCancel: () => answer(null),
+    },
+  };
+};
+
+export default usePasswordPrompt;
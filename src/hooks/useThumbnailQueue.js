@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef } from "react";
+
+/**
+ * useThumbnailQueue:
+ * - shared plumbing for lazily rendered page thumbnails
+ * - one IntersectionObserver for the whole grid (root = `containerRef`)
+ * - renders run one at a time so large documents don't lock up the tab
+ * - returns { containerRef, observe(el, onVisibleChange) -> unobserve, enqueue(task) }
+ */
+const useThumbnailQueue = () => {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const callbacksRef = useRef(new Map());
+  const queueRef = useRef(Promise.resolve());
+
+  // created on first use, by which time the container ref is attached
+  const observe = useCallback((el, callback) => {
+    if (!observerRef.current) {
+      observerRef.current = new IntersectionObserver(
+        (entries) => entries.forEach((e) => callbacksRef.current.get(e.target)?.(e.isIntersecting)),
+        { root: containerRef.current, rootMargin: "300px 0px" }
+      );
+    }
+    callbacksRef.current.set(el, callback);
+    observerRef.current.observe(el);
+    return () => {
+      callbacksRef.current.delete(el);
+      observerRef.current?.unobserve(el);
+    };
+  }, []);
+
+  const enqueue = useCallback((task) => {
+    queueRef.current = queueRef.current
+      .then(task)
+      .catch((err) => console.error("Thumbnail render error:", err));
+  }, []);
+
+  useEffect(() => {
+    return () => observerRef.current?.disconnect();
+  }, []);
+
+  return { containerRef, observe, enqueue };
+};
+
+export default useThumbnailQueue;
@@ -0,0 +1,99 @@
+/**
+ * Puts a background-removed cutout onto a new background.
+ * - background: { type: "transparent" } | { type: "color", color }
+ *   | { type: "gradient", from, to, style: "vertical" | "radial" } | { type: "image", image }
+ * - `feather` softens the cutout edge by that many source px, which also eats
+ *   the light halo segmentation tends to leave around hair
+ * - output is `width` x `height` (defaults to the cutout size); the cutout is
+ *   fitted with "pad" (whole subject visible) or "crop" (fill the frame)
+ */
+
+export const BACKGROUND_COLORS = [
+  { label: "White", value: "#ffffff" },
+  { label: "Light blue", value: "#dbeafe" },
+  { label: "Sky blue", value: "#bfdbfe" },
+  { label: "Light grey", value: "#e5e7eb" },
+];
+
+const paintBackground = (ctx, width, height, background) => {
+  switch (background?.type) {
+    case "color":
+      ctx.fillStyle = background.color;
+      ctx.fillRect(0, 0, width, height);
+      break;
+    case "gradient": {
+      const gradient =
+        background.style === "radial"
+          ? ctx.createRadialGradient(
+              width / 2,
+              height / 2,
+              0,
+              width / 2,
+              height / 2,
+              Math.hypot(width, height) / 2
+            )
+          : ctx.createLinearGradient(0, 0, 0, height);
+      gradient.addColorStop(0, background.from);
+      gradient.addColorStop(1, background.to);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+      break;
+    }
+    case "image": {
+      const { image } = background;
+      const scale = Math.max(width / image.width, height / image.height);
+      const w = image.width * scale;
+      const h = image.height * scale;
+      ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+      break;
+    }
+    default:
+      break; // transparent
+  }
+};
+
+// alpha = sharp alpha x blurred alpha, so the edge fades inward instead of growing
+const featherCutout = (cutout, feather) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = cutout.width;
+  canvas.height = cutout.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(cutout, 0, 0);
+  if (!feather) return canvas;
+
+  const mask = document.createElement("canvas");
+  mask.width = cutout.width;
+  mask.height = cutout.height;
+  const mctx = mask.getContext("2d");
+  mctx.filter = `blur(${feather}px)`;
+  mctx.drawImage(cutout, 0, 0);
+
+  ctx.globalCompositeOperation = "destination-in";
+  ctx.drawImage(mask, 0, 0);
+  mask.width = 0;
+  mask.height = 0;
+  return canvas;
+};
+
+export const composeCutout = (
+  cutout,
+  { background, feather = 0, width, height, fit = "pad" } = {}
+) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width || cutout.width));
+  canvas.height = Math.max(1, Math.round(height || cutout.height));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+
+  paintBackground(ctx, canvas.width, canvas.height, background);
+
+  const pick = fit === "crop" ? Math.max : Math.min;
+  const scale = pick(canvas.width / cutout.width, canvas.height / cutout.height);
+  const w = cutout.width * scale;
+  const h = cutout.height * scale;
+  // padded subjects sit on the bottom edge, like a portrait
+  const y = fit === "crop" ? (canvas.height - h) / 2 : canvas.height - h;
+  ctx.drawImage(featherCutout(cutout, feather), (canvas.width - w) / 2, y, w, h);
+  return canvas;
+};
@@ -0,0 +1,166 @@
+/**
+ * CCITT Group 4 (T.6) encoder for 1-bit images, as read by /CCITTFaxDecode
+ * with K -1.
+ * - input is packed rows in the 1-bit DeviceGray layout (1 = white, rows
+ *   padded to whole bytes), so the default BlackIs1 false matches it
+ * - rows are not byte aligned and the data ends with an EOFB
+ * - each row is coded against the one above (all white for the first), so
+ *   text and line art shrink far more than under Flate
+ */
+
+// T.4 code tables as bit strings, indexed by run length
+const WHITE_TERMINATING = [
+  "00110101", "000111", "0111", "1000", "1011", "1100", "1110", "1111",
+  "10011", "10100", "00111", "01000", "001000", "000011", "110100", "110101",
+  "101010", "101011", "0100111", "0001100", "0001000", "0010111", "0000011", "0000100",
+  "0101000", "0101011", "0010011", "0100100", "0011000", "00000010", "00000011", "00011010",
+  "00011011", "00010010", "00010011", "00010100", "00010101", "00010110", "00010111", "00101000",
+  "00101001", "00101010", "00101011", "00101100", "00101101", "00000100", "00000101", "00001010",
+  "00001011", "01010010", "01010011", "01010100", "01010101", "00100100", "00100101", "01011000",
+  "01011001", "01011010", "01011011", "01001010", "01001011", "00110010", "00110011", "00110100",
+];
+
+const BLACK_TERMINATING = [
+  "0000110111", "010", "11", "10", "011", "0011", "0010", "00011",
+  "000101", "000100", "0000100", "0000101", "0000111", "00000100", "00000111", "000011000",
+  "0000010111", "0000011000", "0000001000", "00001100111", "00001101000", "00001101100", "00000110111", "00000101000",
+  "00000010111", "00000011000", "000011001010", "000011001011", "000011001100", "000011001101", "000001101000", "000001101001",
+  "000001101010", "000001101011", "000011010010", "000011010011", "000011010100", "000011010101", "000011010110", "000011010111",
+  "000001101100", "000001101101", "000011011010", "000011011011", "000001010100", "000001010101", "000001010110", "000001010111",
+  "000001100100", "000001100101", "000001010010", "000001010011", "000000100100", "000000110111", "000000111000", "000000100111",
+  "000000101000", "000001011000", "000001011001", "000000101011", "000000101100", "000001011010", "000001100110", "000001100111",
+];
+
+// make-up codes for 64, 128, ... 1728
+const WHITE_MAKEUP = [
+  "11011", "10010", "010111", "0110111", "00110110", "00110111", "01100100", "01100101", "01101000",
+  "01100111", "011001100", "011001101", "011010010", "011010011", "011010100", "011010101", "011010110",
+  "011010111", "011011000", "011011001", "011011010", "011011011", "010011000", "010011001", "010011010",
+  "011000", "010011011",
+];
+
+const BLACK_MAKEUP = [
+  "0000001111", "000011001000", "000011001001", "000001011011", "000000110011", "000000110100",
+  "000000110101", "0000001101100", "0000001101101", "0000001001010", "0000001001011", "0000001001100",
+  "0000001001101", "0000001110010", "0000001110011", "0000001110100", "0000001110101", "0000001110110",
+  "0000001110111", "0000001010010", "0000001010011", "0000001010100", "0000001010101", "0000001011010",
+  "0000001011011", "0000001100100", "0000001100101",
+];
+
+// shared by both colours: 1792, 1856, ... 2560
+const EXTENDED_MAKEUP = [
+  "00000001000", "00000001100", "00000001101", "000000010010", "000000010011", "000000010100", "000000010101",
+  "000000010110", "000000010111", "000000011100", "000000011101", "000000011110", "000000011111",
+];
+
+const PASS = "0001";
+const HORIZONTAL = "001";
+// vertical mode codes for a1 - b1 = -3 ... 3
+const VERTICAL = ["0000010", "000010", "010", "1", "011", "000011", "0000011"];
+const EOL = "000000000001";
+
+const MAX_RUN = 2560;
+
+const bitWriter = (capacity) => {
+  let out = new Uint8Array(Math.max(16, capacity));
+  let bytePos = 0;
+  let bitPos = 0;
+  const write = (code) => {
+    for (let i = 0; i < code.length; i++) {
+      if (bytePos >= out.length) {
+        const grown = new Uint8Array(out.length * 2);
+        grown.set(out);
+        out = grown;
+      }
+      if (code.charCodeAt(i) === 49) out[bytePos] |= 0x80 >> bitPos;
+      if (++bitPos === 8) {
+        bitPos = 0;
+        bytePos++;
+      }
+    }
+  };
+  const bytes = () => out.slice(0, bytePos + (bitPos ? 1 : 0));
+  return { write, bytes };
+};
+
+const writeRun = (write, run, black) => {
+  const makeup = black ? BLACK_MAKEUP : WHITE_MAKEUP;
+  while (run >= MAX_RUN) {
+    write(EXTENDED_MAKEUP[EXTENDED_MAKEUP.length - 1]);
+    run -= MAX_RUN;
+  }
+  if (run >= 64) {
+    const chunk = run >> 6; // multiples of 64
+    write(chunk <= 27 ? makeup[chunk - 1] : EXTENDED_MAKEUP[chunk - 28]);
+    run &= 63;
+  }
+  write((black ? BLACK_TERMINATING : WHITE_TERMINATING)[run]);
+};
+
+// positions where a row changes colour (the first is always white to black),
+// followed by `width` as the end marker
+const changingElements = (bits, rowStart, width, out) => {
+  let count = 0;
+  let black = false;
+  for (let x = 0; x < width; x++) {
+    const isBlack = !((bits[rowStart + (x >> 3)] >> (7 - (x & 7))) & 1);
+    if (isBlack !== black) {
+      out[count++] = x;
+      black = isBlack;
+    }
+  }
+  out[count] = width;
+  out[count + 1] = width;
+  return count;
+};
+
+export const encodeG4 = (bits, width, height) => {
+  const rowBytes = Math.ceil(width / 8);
+  const { write, bytes } = bitWriter(bits.length >> 3);
+  let ref = new Int32Array(width + 2);
+  let cur = new Int32Array(width + 2);
+  let refCount = 0;
+  ref[0] = ref[1] = width;
+
+  for (let y = 0; y < height; y++) {
+    const curCount = changingElements(bits, y * rowBytes, width, cur);
+    let a0 = -1;
+    let black = false;
+    let ai = 0; // first coding-line change right of a0
+    let bi = 0; // search start on the reference line
+
+    while (a0 < width) {
+      while (ai < curCount && cur[ai] <= a0) ai++;
+      const a1 = cur[ai];
+      // b1: next reference change right of a0 to the opposite colour;
+      // even-indexed changes go to black, odd ones back to white. After a
+      // vertical-left code the change just before the last b1 can qualify
+      if (bi > 0) bi--;
+      while (bi < refCount && (ref[bi] <= a0 || (bi & 1) !== (black ? 1 : 0))) bi++;
+      const b1 = ref[bi];
+      const b2 = ref[Math.min(bi + 1, refCount)];
+
+      if (b2 < a1) {
+        write(PASS);
+        a0 = b2;
+      } else if (Math.abs(a1 - b1) <= 3) {
+        write(VERTICAL[a1 - b1 + 3]);
+        a0 = a1;
+        black = !black;
+      } else {
+        const a2 = cur[Math.min(ai + 1, curCount)];
+        write(HORIZONTAL);
+        writeRun(write, a1 - Math.max(a0, 0), black);
+        writeRun(write, a2 - a1, !black);
+        a0 = a2;
+      }
+    }
+
+    [ref, cur] = [cur, ref];
+    refCount = curCount;
+  }
+
+  write(EOL);
+  write(EOL);
+  return bytes();
+};
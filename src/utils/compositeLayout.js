@@ -0,0 +1,65 @@
+/**
+ * Layout for the single-sheet "photo + signature + thumb" composite.
+ * - uses the exam's `composite` preset when the backend provides one
+ * - otherwise builds one from the exam's photo/signature/thumb presets:
+ *   photo on the left, thumb above signature on the right. Such a sheet is
+ *   not an official format, so its maxKB is derived (the slots' maxKB summed)
+ *   and it has no minKB
+ */
+
+export const SLOTS = ["photo", "signature", "thumb"];
+
+const GAP = 20; // px around and between slots
+const DEFAULT_THUMB = { width: 240, height: 240 };
+
+const size = (cfg) => ({
+  width: Number(cfg?.width) || 0,
+  height: Number(cfg?.height) || 0,
+});
+
+// a sheet holding every slot can take as much as the separate uploads would
+const derivedMaxKB = (examCfg) =>
+  SLOTS.reduce((sum, slot) => sum + (Number(examCfg[slot]?.maxKB) || 0), 0);
+
+export const buildCompositeLayout = (examCfg) => {
+  if (!examCfg?.photo || !examCfg?.signature) return null;
+
+  const preset = examCfg.composite;
+  if (preset?.slots && preset.width && preset.height) {
+    return {
+      width: Number(preset.width),
+      height: Number(preset.height),
+      minKB: Number(preset.minKB) || 0,
+      maxKB: Number(preset.maxKB) || 0,
+      slots: preset.slots,
+      fromPreset: true,
+    };
+  }
+
+  const photo = size(examCfg.photo);
+  const signature = size(examCfg.signature);
+  const thumb = size(examCfg.thumb || DEFAULT_THUMB);
+
+  const rightW = Math.max(signature.width, thumb.width);
+  const rightH = thumb.height + GAP + signature.height;
+  const width = GAP + photo.width + GAP + rightW + GAP;
+  const height = GAP + Math.max(photo.height, rightH) + GAP;
+  const rightX = GAP + photo.width + GAP;
+
+  return {
+    width,
+    height,
+    minKB: 0,
+    maxKB: derivedMaxKB(examCfg),
+    slots: {
+      photo: { x: GAP, y: GAP, ...photo },
+      thumb: { x: rightX + (rightW - thumb.width) / 2, y: GAP, ...thumb },
+      signature: {
+        x: rightX + (rightW - signature.width) / 2,
+        y: GAP + thumb.height + GAP,
+        ...signature,
+      },
+    },
+    fromPreset: false,
+  };
+};
@@ -0,0 +1,104 @@
+import { PDFDocument } from "pdf-lib";
+import { optimizePdf } from "./pdfOptimize";
+import { renderPageImage } from "./pdfRaster";
+
+/**
+ * Compression presets and size estimates for CompressPDF.
+ * - a preset is { dpi, quality } and applies to both modes: the image DPI
+ *   cap in "structure" mode, the render DPI in "raster" mode
+ * - colour options ({ color, binarize }) are passed alongside and work the same
+ *   in both modes
+ * - estimates come from compressing a few sample pages and scaling up
+ */
+
+export const PRESETS = [
+  { id: "screen", label: "Screen", dpi: 72, quality: 0.5, hint: "Smallest, for reading on screen" },
+  { id: "ebook", label: "eBook", dpi: 150, quality: 0.7, hint: "Good balance for tablets and email" },
+  { id: "print", label: "Print", dpi: 300, quality: 0.85, hint: "High quality for printing" },
+  { id: "custom", label: "Custom", hint: "Pick your own DPI and quality" },
+  { id: "target", label: "Target size", hint: "Get the file under a size limit" },
+];
+
+// settings tried in target-size mode, best quality first
+export const TARGET_LADDER = [
+  { dpi: 300, quality: 0.85 },
+  { dpi: 200, quality: 0.8 },
+  { dpi: 150, quality: 0.75 },
+  { dpi: 150, quality: 0.6 },
+  { dpi: 120, quality: 0.55 },
+  { dpi: 96, quality: 0.5 },
+  { dpi: 72, quality: 0.45 },
+  { dpi: 72, quality: 0.35 },
+  { dpi: 50, quality: 0.3 },
+];
+
+const SAMPLE_PAGES = 3;
+const RASTER_PAGE_OVERHEAD = 600; // page dict, image dict and xref entry, in bytes
+
+export const settingsLabel = ({ dpi, quality }) => `${dpi} DPI, quality ${Math.round(quality * 100)}%`;
+
+// evenly spread 0-based page indices, first and last included
+export const sampleIndices = (pageCount, count = SAMPLE_PAGES) => {
+  if (pageCount <= count) return Array.from({ length: pageCount }, (_, i) => i);
+  return Array.from({ length: count }, (_, i) => Math.round((i * (pageCount - 1)) / (count - 1)));
+};
+
+/**
+ * createEstimator:
+ * - runs inside compressWorker on the document it has open (the page talks
+ *   to it through compressWorkers.startEstimator), so estimates never block the UI
+ * - estimate(mode, { dpi, quality, color, binarize }) resolves to the expected output size in bytes
+ * - structure mode: size ratio of a sample-page document before/after optimizing
+ * - raster mode: average image size of the sample pages times the page count
+ */
+export const createEstimator = (pdf) => {
+  let sample = null;
+
+  const structureSample = async () => {
+    if (!sample) {
+      const data = await pdf.getData();
+      const src = await PDFDocument.load(data, { updateMetadata: false });
+      const doc = await PDFDocument.create();
+      const pages = await doc.copyPages(src, sampleIndices(src.getPageCount()));
+      pages.forEach((p) => doc.addPage(p));
+      sample = {
+        file: new File([await doc.save()], "sample.pdf", { type: "application/pdf" }),
+        sourceSize: data.length,
+      };
+    }
+    return sample;
+  };
+
+  const estimate = async (mode, settings) => {
+    if (mode === "structure") {
+      const { file, sourceSize } = await structureSample();
+      const optimized = await optimizePdf(file, { ...settings, maxDpi: settings.dpi });
+      return Math.round(sourceSize * Math.min(1, optimized.size / file.size));
+    }
+
+    const indices = sampleIndices(pdf.numPages);
+    let total = 0;
+    for (const index of indices) {
+      total += (await renderPageImage(pdf, index + 1, settings)).bytes.length;
+    }
+    return Math.round((total / indices.length + RASTER_PAGE_OVERHEAD) * pdf.numPages);
+  };
+
+  return { estimate };
+};
+
+/**
+ * pickForTarget:
+ * - first ladder step (from `start`) whose estimate fits under `targetBytes`
+ * - colorOptions ({ color, binarize }) apply to every step
+ * - resolves to { index, estimate }; falls back to the last step if none fit
+ */
+export const pickForTarget = async (estimator, mode, targetBytes, start = 0, colorOptions = {}) => {
+  let size = null;
+  for (let i = start; i < TARGET_LADDER.length; i++) {
+    size = await estimator.estimate(mode, { ...TARGET_LADDER[i], ...colorOptions });
+    // leave a little room: sample pages are only a guide
+    if (size <= targetBytes * 0.95) return { index: i, estimate: size };
+  }
+  return { index: TARGET_LADDER.length - 1, estimate: size };
+};
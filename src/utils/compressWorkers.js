@@ -0,0 +1,157 @@
+import { buildRasterPdf } from "./pdfRaster";
+
+/**
+ * Main-thread side of compressWorker.
+ * - rasterizeInWorkers spreads pages over a small pool of workers, each with
+ *   its own copy of the document, and rebuilds the PDF in page order
+ * - optimizeInWorker runs the structure-preserving optimizer in one worker
+ * - startEstimator keeps one worker per file for live size estimates
+ * - both accept an AbortSignal; aborting terminates the workers and rejects
+ *   with an AbortError
+ */
+
+let requestSeq = 0;
+
+export const defaultConcurrency = () =>
+  Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+const createWorker = () =>
+  new Worker(new URL("../workers/compressWorker.js", import.meta.url), { type: "module" });
+
+// one request/response round trip; progress messages go to onProgress
+const request = (worker, message, transfer = [], onProgress) =>
+  new Promise((resolve, reject) => {
+    const id = ++requestSeq;
+    const onMessage = (e) => {
+      const reply = e.data;
+      if (reply?.id !== id) return;
+      if (reply.type === "progress") {
+        onProgress?.(reply.message);
+        return;
+      }
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      if (reply.type === "error") reject(new Error(reply.message));
+      else resolve(reply);
+    };
+    const onError = (e) => {
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      reject(new Error(e.message || "Compression worker failed to start"));
+    };
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    worker.postMessage({ ...message, id }, transfer);
+  });
+
+const abortError = () => new DOMException("Compression cancelled", "AbortError");
+
+// runs task(workers) and terminates every worker it created, however it ends
+const withWorkers = async (signal, task) => {
+  if (signal?.aborted) throw abortError();
+  const workers = [];
+  const spawn = () => {
+    const worker = createWorker();
+    workers.push(worker);
+    return worker;
+  };
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(abortError());
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+  try {
+    return await Promise.race([task(spawn), aborted]);
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    workers.forEach((w) => w.terminate());
+  }
+};
+
+/**
+ * rasterizeInWorkers:
+ * - options: { dpi, quality, color, binarize, signal, concurrency, onPage(done, total) }
+ * - resolves to the rebuilt PDF as a Blob
+ */
+export const rasterizeInWorkers = async (
+  file,
+  { dpi, quality, color, binarize, signal, concurrency = defaultConcurrency(), onPage }
+) => {
+  const data = await file.arrayBuffer();
+
+  return withWorkers(signal, async (spawn) => {
+    const first = spawn();
+    const { numPages } = await request(first, { type: "open", data });
+    const pool = [first];
+    for (let i = 1; i < Math.min(concurrency, numPages); i++) pool.push(spawn());
+    await Promise.all(pool.slice(1).map((w) => request(w, { type: "open", data })));
+
+    const pages = new Array(numPages);
+    let next = 1;
+    let done = 0;
+    onPage?.(0, numPages);
+
+    // each worker pulls the next page as soon as it's free
+    const drain = async (worker) => {
+      while (next <= numPages && !signal?.aborted) {
+        const page = next++;
+        pages[page - 1] = await request(worker, { type: "render", page, dpi, quality, color, binarize });
+        onPage?.(++done, numPages);
+      }
+    };
+    await Promise.all(pool.map(drain));
+    if (signal?.aborted) throw abortError();
+    return buildRasterPdf(pages);
+  });
+};
+
+/**
+ * optimizeInWorker:
+ * - options: { maxDpi, quality, color, binarize, signal, onProgress(message) }
+ * - resolves to a Blob, or the original file if nothing could be saved
+ */
+export const optimizeInWorker = async (file, { maxDpi, quality, color, binarize, signal, onProgress }) => {
+  const data = await file.arrayBuffer();
+  return withWorkers(signal, async (spawn) => {
+    const { bytes } = await request(spawn(), { type: "optimize", data, maxDpi, quality, color, binarize }, [data], onProgress);
+    return bytes ? new Blob([bytes], { type: "application/pdf" }) : file;
+  });
+};
+
+/**
+ * startEstimator:
+ * - the worker opens the file on the first estimate and keeps it open
+ * - estimate(mode, { dpi, quality, color, binarize }) resolves to the expected size in bytes
+ * - destroy() terminates the worker; estimates still running reject with an AbortError
+ */
+export const startEstimator = (file) => {
+  let worker = null;
+  let opened = null;
+  const controller = new AbortController();
+  const stopped = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () => reject(abortError()), { once: true });
+  });
+  stopped.catch(() => {}); // nothing may be waiting when it's destroyed
+
+  const open = () => {
+    if (!opened) {
+      worker = createWorker();
+      opened = file.arrayBuffer().then((data) => request(worker, { type: "open", data }, [data]));
+    }
+    return opened;
+  };
+
+  return {
+    estimate: async (mode, settings) => {
+      if (controller.signal.aborted) throw abortError();
+      const run = open().then(() => request(worker, { type: "estimate", mode, ...settings }));
+      const { size } = await Promise.race([run, stopped]);
+      return size;
+    },
+    destroy: () => {
+      controller.abort();
+      worker?.terminate();
+    },
+  };
+};
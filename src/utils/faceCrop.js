@@ -0,0 +1,168 @@
+/**
+ * Head-and-shoulders framing for passport style photos.
+ * - detectFace: on-device face detection; the browser's FaceDetector (Shape
+ *   Detection API) is the fast path, otherwise a bundled TinyFaceDetector
+ *   model runs in workers/faceWorker. Resolves null when no face is found
+ * - isFaceDetectionSupported: false once the worker model failed to load
+ * - frameFace: crop rect around a face box at the preset's aspect ratio
+ * - centerCrop: fallback crop, centred horizontally and biased to the top
+ *   where heads usually are
+ *
+ * Crop rects are { x, y, width, height } in source pixels.
+ */
+
+const DETECT_MAX_SIDE = 640; // the model's input is 416px, so larger adds nothing
+
+let worker = null;
+let workerFailed = false;
+let requestSeq = 0;
+
+const hasNativeDetector = () => typeof window !== "undefined" && "FaceDetector" in window;
+
+export const isFaceDetectionSupported = () =>
+  hasNativeDetector() || (typeof Worker !== "undefined" && !workerFailed);
+
+// the largest face is the candidate; the rest are usually background
+const largest = (boxes) =>
+  boxes.length ? [...boxes].sort((a, b) => b.width * b.height - a.width * a.height)[0] : null;
+
+const detectNative = async (source) => {
+  const detector = new window.FaceDetector({
+    fastMode: false,
+    maxDetectedFaces: 5,
+  });
+  const faces = await detector.detect(source);
+  return largest((faces || []).map((f) => f.boundingBox));
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL("../workers/faceWorker.js", import.meta.url), { type: "module" });
+  }
+  return worker;
+};
+
+const disableWorker = () => {
+  workerFailed = true;
+  worker?.terminate();
+  worker = null;
+};
+
+const detectInWorker = (source) => {
+  const scale = Math.min(1, DETECT_MAX_SIDE / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const target = getWorker();
+  return new Promise((resolve, reject) => {
+    const id = ++requestSeq;
+    const done = () => {
+      target.removeEventListener("message", onMessage);
+      target.removeEventListener("error", onError);
+    };
+    const onMessage = (e) => {
+      const reply = e.data;
+      if (reply?.id !== id) return;
+      done();
+      if (reply.type === "error") {
+        reject(new Error(reply.message));
+        return;
+      }
+      const box = largest(reply.faces);
+      resolve(
+        box && {
+          x: box.x / scale,
+          y: box.y / scale,
+          width: box.width / scale,
+          height: box.height / scale,
+        }
+      );
+    };
+    const onError = (e) => {
+      done();
+      reject(new Error(e.message || "Face detection worker failed to start"));
+    };
+    target.addEventListener("message", onMessage);
+    target.addEventListener("error", onError);
+    target.postMessage({ id, type: "detect", width, height, data: data.buffer }, [data.buffer]);
+  });
+};
+
+export const detectFace = async (source) => {
+  if (hasNativeDetector()) {
+    try {
+      const box = await detectNative(source);
+      return box && { x: box.x, y: box.y, width: box.width, height: box.height };
+    } catch (err) {
+      // some browsers expose FaceDetector without a working backend
+      console.warn("FaceDetector failed, using the bundled model:", err);
+    }
+  }
+  if (workerFailed || typeof Worker === "undefined") return null;
+  try {
+    return await detectInWorker(source);
+  } catch (err) {
+    console.error("Face detection failed:", err);
+    disableWorker();
+    return null;
+  }
+};
+
+// Clamp a rect of fixed aspect ratio so it lies inside the image, shrinking if needed
+export const clampCrop = (rect, imgW, imgH, aspect) => {
+  let { width, height } = rect;
+  if (width > imgW) {
+    width = imgW;
+    height = width / aspect;
+  }
+  if (height > imgH) {
+    height = imgH;
+    width = height * aspect;
+  }
+  const x = Math.min(Math.max(0, rect.x), imgW - width);
+  const y = Math.min(Math.max(0, rect.y), imgH - height);
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+};
+
+export const centerCrop = (imgW, imgH, aspect) => {
+  let width = imgW;
+  let height = width / aspect;
+  if (height > imgH) {
+    height = imgH;
+    width = height * aspect;
+  }
+  return clampCrop(
+    { x: (imgW - width) / 2, y: (imgH - height) * 0.2, width, height },
+    imgW,
+    imgH,
+    aspect
+  );
+};
+
+// Detector boxes span roughly brow to chin; the crop leaves room for hair
+// above and shoulders below, with the face centred horizontally.
+const CROP_TO_FACE_HEIGHT = 2.2;
+const HEADROOM = 0.6; // face heights between crop top and face box top
+
+export const frameFace = (face, imgW, imgH, aspect) => {
+  const height = face.height * CROP_TO_FACE_HEIGHT;
+  const width = height * aspect;
+  const cx = face.x + face.width / 2;
+  return clampCrop(
+    { x: cx - width / 2, y: face.y - face.height * HEADROOM, width, height },
+    imgW,
+    imgH,
+    aspect
+  );
+};
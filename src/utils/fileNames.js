@@ -0,0 +1,16 @@
+/**
+ * Output file names for multi-file downloads.
+ * - uniqueName: "photo.jpg", then "photo_2.jpg", "photo_3.jpg" for repeats
+ *   (case-insensitive, since most file systems and unzip tools are)
+ * - taken is a Set shared by every name going into the same folder or ZIP
+ */
+
+export const uniqueName = (name, taken) => {
+  const dot = name.lastIndexOf(".");
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : "";
+  let out = name;
+  for (let n = 2; taken.has(out.toLowerCase()); n++) out = `${stem}_${n}${ext}`;
+  taken.add(out.toLowerCase());
+  return out;
+};
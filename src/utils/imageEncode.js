@@ -0,0 +1,168 @@
+import { PDFName, PDFRawStream } from "pdf-lib";
+import { encodeG4 } from "./ccittG4";
+import { otsuThreshold, toGray } from "./threshold";
+
+/**
+ * Colour reduction and image encoding for PDF compression.
+ * - "color": JPEG
+ * - "gray": 8-bit gray, as JPEG or as Flate, whichever is smaller for this
+ *   image (Flate wins on line art and forms, JPEG on photos)
+ * - "mono": 1 bit per pixel, binarized with Otsu's threshold or
+ *   Floyd-Steinberg dithering, as CCITT G4 or as Flate, whichever is smaller
+ *   for this image (G4 wins on text and forms, Flate on dithered photos)
+ * - results are plain objects (they cross worker boundaries); imageXObject
+ *   turns one into a PDF image
+ */
+
+export const deflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+export const canvasToJpeg = async (canvas, quality) => {
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: "image/jpeg", quality })
+    : await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  return new Uint8Array(await blob.arrayBuffer());
+};
+
+// 1 = white, 0 = black (DeviceGray at 1 bit), rows padded to whole bytes
+const packBits = (isWhite, width, height) => {
+  const rowBytes = Math.ceil(width / 8);
+  const out = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isWhite(y * width + x)) out[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return out;
+};
+
+const thresholdBits = (gray, width, height) => {
+  const t = otsuThreshold(gray);
+  return packBits((i) => gray[i] > t, width, height);
+};
+
+// Floyd-Steinberg error diffusion; keeps halftones and photos readable
+const ditherBits = (gray, width, height) => {
+  const level = Float32Array.from(gray);
+  const white = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const old = level[i];
+      const value = old > 127 ? 255 : 0;
+      white[i] = value ? 1 : 0;
+      const err = old - value;
+      if (x + 1 < width) level[i + 1] += (err * 7) / 16;
+      if (y + 1 < height) {
+        if (x > 0) level[i + width - 1] += (err * 3) / 16;
+        level[i + width] += (err * 5) / 16;
+        if (x + 1 < width) level[i + width + 1] += err / 16;
+      }
+    }
+  }
+  return packBits((i) => white[i] === 1, width, height);
+};
+
+// PNG "Up" filter on every row: runs repeated from the row above become zeros
+const predictUp = (data, rowBytes) => {
+  const rows = data.length / rowBytes;
+  const out = new Uint8Array(rows * (rowBytes + 1));
+  for (let y = 0; y < rows; y++) {
+    const dst = y * (rowBytes + 1);
+    out[dst] = 2;
+    for (let x = 0; x < rowBytes; x++) {
+      const above = y > 0 ? data[(y - 1) * rowBytes + x] : 0;
+      out[dst + 1 + x] = (data[y * rowBytes + x] - above) & 0xff;
+    }
+  }
+  return out;
+};
+
+const flateImage = async (data, width, height, bitsPerComponent) => ({
+  bytes: await deflate(predictUp(data, Math.ceil((width * bitsPerComponent) / 8))),
+  pixelWidth: width,
+  pixelHeight: height,
+  filter: "FlateDecode",
+  colorSpace: "DeviceGray",
+  bitsPerComponent,
+  predicted: true,
+});
+
+const g4Image = (data, width, height) => ({
+  bytes: encodeG4(data, width, height),
+  pixelWidth: width,
+  pixelHeight: height,
+  filter: "CCITTFaxDecode",
+  colorSpace: "DeviceGray",
+  bitsPerComponent: 1,
+});
+
+const jpegImage = async (canvas, quality) => ({
+  bytes: await canvasToJpeg(canvas, quality),
+  pixelWidth: canvas.width,
+  pixelHeight: canvas.height,
+  filter: "DCTDecode",
+  colorSpace: "DeviceRGB",
+  bitsPerComponent: 8,
+});
+
+/**
+ * encodeCanvas:
+ * - options: { color = "color", binarize = "threshold", quality }
+ * - gray modes rewrite the canvas pixels in place
+ * - resolves to { bytes, pixelWidth, pixelHeight, filter, colorSpace, bitsPerComponent, predicted? }
+ */
+export const encodeCanvas = async (canvas, { color = "color", binarize = "threshold", quality }) => {
+  if (color === "color") return jpegImage(canvas, quality);
+
+  const { width, height } = canvas;
+  const ctx = canvas.getContext("2d");
+  const pixels = ctx.getImageData(0, 0, width, height);
+  const gray = toGray(pixels.data, width * height);
+
+  if (color === "mono") {
+    const bits = binarize === "dither" ? ditherBits(gray, width, height) : thresholdBits(gray, width, height);
+    const flate = await flateImage(bits, width, height, 1);
+    const g4 = g4Image(bits, width, height);
+    return g4.bytes.length < flate.bytes.length ? g4 : flate;
+  }
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    pixels.data[p] = pixels.data[p + 1] = pixels.data[p + 2] = gray[i];
+  }
+  ctx.putImageData(pixels, 0, 0);
+  const [jpeg, flate] = await Promise.all([jpegImage(canvas, quality), flateImage(gray, width, height, 8)]);
+  return flate.bytes.length < jpeg.bytes.length ? flate : jpeg;
+};
+
+/**
+ * imageXObject:
+ * - builds the image stream for an encodeCanvas result
+ * - colorSpace overrides the default (e.g. to keep an RGB ICC profile)
+ */
+export const imageXObject = (context, image, colorSpace = PDFName.of(image.colorSpace)) => {
+  const dict = context.obj({
+    Type: "XObject",
+    Subtype: "Image",
+    Width: image.pixelWidth,
+    Height: image.pixelHeight,
+    ColorSpace: colorSpace,
+    BitsPerComponent: image.bitsPerComponent,
+    Filter: image.filter,
+  });
+  if (image.filter === "CCITTFaxDecode") {
+    dict.set(
+      PDFName.of("DecodeParms"),
+      context.obj({ K: -1, Columns: image.pixelWidth, Rows: image.pixelHeight })
+    );
+  }
+  if (image.predicted) {
+    dict.set(
+      PDFName.of("DecodeParms"),
+      context.obj({ Predictor: 15, Colors: 1, BitsPerComponent: image.bitsPerComponent, Columns: image.pixelWidth })
+    );
+  }
+  return PDFRawStream.of(dict, image.bytes);
+};
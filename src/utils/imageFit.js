@@ -0,0 +1,168 @@
+/**
+ * Canvas helpers shared by the image tools.
+ * - drawToCanvas: high quality resize of any drawable onto a fresh canvas
+ * - canvasToBlob: promise wrapper around canvas.toBlob
+ * - fitToSize: searches quality (and scale, if needed) until the encoded
+ *   blob lands inside a KB window
+ */
+
+export const MIME_BY_FORMAT = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+export const bytesToKB = (bytes) => +(bytes / 1024).toFixed(1);
+
+export const drawToCanvas = (source, width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * drawFitted:
+ * - paints `source` onto an exact width x height canvas
+ * - "crop" covers the box and trims the overflow evenly
+ * - "pad" fits inside the box and fills the rest with `background`
+ */
+export const drawFitted = (
+  source,
+  width,
+  height,
+  mode = "crop",
+  background = "#ffffff"
+) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const pick = mode === "pad" ? Math.min : Math.max;
+  const scale = pick(canvas.width / source.width, canvas.height / source.height);
+  const w = source.width * scale;
+  const h = source.height * scale;
+  ctx.drawImage(source, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, mime, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, mime, quality));
+
+const MIN_QUALITY = 0.05;
+const MAX_QUALITY = 0.95;
+const QUALITY_STEPS = 7; // binary search iterations per scale
+const SCALE_STEP = 0.9; // shrink factor when lowest quality is still too big
+const MIN_SIDE = 32; // never shrink below this many pixels
+
+/**
+ * fitToSize:
+ * - encodes `source` at width x height and binary-searches quality for the
+ *   largest blob that is <= maxKB (and, if given, >= minKB)
+ * - when even the lowest quality is too big, shrinks the image in steps and
+ *   searches again; PNG skips the quality search (lossless)
+ *
+ * `render(width, height)` may be passed to control how each candidate canvas
+ * is drawn; by default the source is simply stretched to the size.
+ * Pass `allowDownscale: false` when the pixel size is fixed by the portal.
+ *
+ * Returns { blob, width, height, quality, scale, attempts, withinLimits }.
+ */
+export const fitToSize = async (
+  source,
+  {
+    width,
+    height,
+    mime = "image/jpeg",
+    maxKB,
+    minKB = 0,
+    render,
+    allowDownscale = true,
+  } = {}
+) => {
+  const maxBytes = maxKB ? maxKB * 1024 : Infinity;
+  const minBytes = minKB ? minKB * 1024 : 0;
+  const lossy = mime !== "image/png";
+  const draw = render || ((w, h) => drawToCanvas(source, w, h));
+
+  let attempts = 0;
+  let scale = 1;
+  let best = null;
+
+  const encode = async (canvas, quality) => {
+    attempts++;
+    const blob = await canvasToBlob(canvas, mime, quality);
+    if (!blob) throw new Error("Failed to create image blob");
+    return blob;
+  };
+
+  for (;;) {
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const canvas = draw(w, h);
+
+    let fit = null;
+    if (lossy) {
+      let lo = MIN_QUALITY;
+      let hi = MAX_QUALITY;
+      // try the top quality first; most small presets already fit there
+      const top = await encode(canvas, hi);
+      if (top.size <= maxBytes) {
+        fit = { blob: top, quality: hi };
+        if (top.size < minBytes) {
+          // under the portal minimum: spend the remaining headroom
+          const full = await encode(canvas, 1);
+          if (full.size <= maxBytes) fit = { blob: full, quality: 1 };
+        }
+      } else {
+        for (let i = 0; i < QUALITY_STEPS; i++) {
+          const q = (lo + hi) / 2;
+          const blob = await encode(canvas, q);
+          if (blob.size <= maxBytes) {
+            fit = { blob, quality: q };
+            lo = q;
+          } else {
+            hi = q;
+          }
+        }
+        if (!fit) {
+          const blob = await encode(canvas, MIN_QUALITY);
+          if (blob.size <= maxBytes) fit = { blob, quality: MIN_QUALITY };
+        }
+      }
+    } else {
+      const blob = await encode(canvas);
+      if (blob.size <= maxBytes) fit = { blob, quality: 1 };
+    }
+
+    canvas.width = 0;
+    canvas.height = 0;
+
+    if (fit) {
+      best = { ...fit, width: w, height: h, scale };
+      break;
+    }
+
+    const next = scale * SCALE_STEP;
+    if (!allowDownscale || Math.min(width * next, height * next) < MIN_SIDE) {
+      // cannot get under the limit; hand back the smallest attempt
+      const c = draw(w, h);
+      const blob = await encode(c, lossy ? MIN_QUALITY : undefined);
+      best = { blob, quality: lossy ? MIN_QUALITY : 1, width: w, height: h, scale };
+      break;
+    }
+    scale = next;
+  }
+
+  const withinLimits = best.blob.size <= maxBytes && best.blob.size >= minBytes;
+  return { ...best, quality: +best.quality.toFixed(2), attempts, withinLimits };
+};
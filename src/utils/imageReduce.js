@@ -0,0 +1,116 @@
+import { MIME_BY_FORMAT, canvasToBlob, drawFitted, drawToCanvas, fitToSize } from "./imageFit";
+import { padJpegToSize, setImageDpi } from "./imageMeta";
+
+/**
+ * The Image Reducer pipeline for one image, shared by single and batch mode.
+ * - exam presets fix the pixel size, KB window, formats and DPI; without a
+ *   preset the custom width/height box is used (the image only shrinks)
+ * - auto-fit searches quality/scale for the KB window; otherwise the slider
+ *   quality is used and only re-encoded if it breaks the preset rules
+ * - JPEGs below the minimum are padded up, and the preset DPI is written last
+ */
+
+// Falls back to the preset's first allowed format when the chosen one is not accepted
+export const allowedFormat = (format, cfg) => {
+  const formats = cfg?.formats;
+  if (!Array.isArray(formats) || formats.length === 0) return format;
+  return formats.includes(format) ? format : formats[0];
+};
+
+export const extensionFor = (format) => (format === "jpeg" ? "jpg" : format);
+
+/**
+ * reduceImage:
+ * - bmp: anything canvas can draw, already cropped/cleaned
+ * - options: { cfg, width, height, quality (1-100), format, fitMode, autoFit }
+ *   (width/height are the custom size; 0 halves the image)
+ * - resolves to { blob, format, report, withinLimits }; report says what
+ *   auto-fit, enforcement or padding did, and is null when none of them ran
+ */
+export const reduceImage = async (bmp, { cfg, width = 0, height = 0, quality, format, fitMode, autoFit }) => {
+  let targetW = cfg ? Number(cfg.width) || 0 : width;
+  let targetH = cfg ? Number(cfg.height) || 0 : height;
+
+  if (!targetW || !targetH) {
+    targetW = Math.round(bmp.width * 0.5);
+    targetH = Math.round(bmp.height * 0.5);
+  }
+
+  // Exact presets get precisely width x height (padded or cropped);
+  // otherwise fit inside the box, keeping aspect ratio
+  const exact = !!cfg?.exact;
+  let outW = targetW;
+  let outH = targetH;
+  let render = (w, h) => drawFitted(bmp, w, h, fitMode);
+  if (!exact) {
+    targetW = Math.min(targetW, bmp.width);
+    targetH = Math.min(targetH, bmp.height);
+    const scale = Math.min(targetW / bmp.width, targetH / bmp.height);
+    outW = Math.max(1, Math.round(bmp.width * scale));
+    outH = Math.max(1, Math.round(bmp.height * scale));
+    render = (w, h) => drawToCanvas(bmp, w, h);
+  }
+
+  const outFormat = allowedFormat(format, cfg);
+  const mime = MIME_BY_FORMAT[outFormat] || "image/jpeg";
+  const maxKB = Number(cfg?.maxKB) || 0;
+  const minKB = Number(cfg?.minKB) || 0;
+
+  const runFit = () =>
+    fitToSize(bmp, {
+      width: outW,
+      height: outH,
+      mime,
+      maxKB,
+      minKB,
+      render,
+      allowDownscale: !exact,
+    });
+
+  let blob;
+  let fit = null;
+  if (autoFit && maxKB) {
+    fit = { ...(await runFit()), enforced: false };
+    blob = fit.blob;
+  } else {
+    const canvas = render(outW, outH);
+    const q = mime === "image/png" ? 1.0 : Math.max(0.01, Number(quality) / 100);
+    blob = await canvasToBlob(canvas, mime, q);
+    if (!blob) throw new Error("Failed to create image blob");
+    const kb = blob.size / 1024;
+    if ((maxKB && kb > maxKB) || (minKB && kb < minKB)) {
+      // the slider setting breaks the preset rules: re-encode to fit
+      fit = { ...(await runFit()), enforced: true };
+      blob = fit.blob;
+    }
+  }
+  if (!blob) throw new Error("Failed to create image blob");
+
+  let padded = false;
+  if (minKB && blob.size < minKB * 1024 && mime === "image/jpeg") {
+    blob = await padJpegToSize(blob, minKB * 1024);
+    padded = true;
+  }
+  if (cfg?.dpi) blob = await setImageDpi(blob, Number(cfg.dpi));
+
+  const finalKB = blob.size / 1024;
+  const withinLimits = (!maxKB || finalKB <= maxKB) && (!minKB || finalKB >= minKB);
+
+  let report = null;
+  if (fit) {
+    report = {
+      quality: Math.round(fit.quality * 100),
+      width: fit.width,
+      height: fit.height,
+      scaled: fit.scale < 1,
+      attempts: fit.attempts,
+      enforced: fit.enforced,
+      padded,
+      withinLimits,
+    };
+  } else if (padded) {
+    report = { padded, width: outW, height: outH, enforced: true, withinLimits };
+  }
+
+  return { blob, format: outFormat, report, withinLimits };
+};
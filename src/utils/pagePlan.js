@@ -0,0 +1,63 @@
+/**
+ * Page plans for merging: an ordered list of
+ * { key, fileId, pageIndex, rotation } entries, one per output page.
+ * - `pageIndex` is 0-based within the source file
+ * - `rotation` is extra clockwise rotation in degrees (0/90/180/270)
+ * - `key` is unique per entry so duplicates of a page can coexist
+ */
+
+// A, B, C ... labels files in the plan
+export const fileLetter = (index) =>
+  index < 26 ? String.fromCharCode(65 + index) : `F${index + 1}`;
+
+let keySeq = 0;
+const makeKey = () => `pg-${++keySeq}`;
+
+const entry = (fileId, pageIndex, rotation = 0) => ({
+  key: makeKey(),
+  fileId,
+  pageIndex,
+  rotation,
+});
+
+// items: [{ id, pages }]; files whose page count isn't known yet contribute nothing
+export const pagesOf = (item) =>
+  Array.from({ length: item.pages || 0 }, (_, i) => entry(item.id, i));
+
+export const planFromItems = (items) => items.flatMap(pagesOf);
+
+/**
+ * interleavePlan:
+ * - round-robin across files: A1, B1, A2, B2, ... (leftover pages go last)
+ * - `reverseLast` flips the last file first, for back sides scanned in reverse
+ */
+export const interleavePlan = (items, { reverseLast = false } = {}) => {
+  const lists = items.map((item, i) => {
+    const pages = pagesOf(item);
+    return reverseLast && i === items.length - 1 ? pages.reverse() : pages;
+  });
+  const longest = Math.max(0, ...lists.map((l) => l.length));
+  const plan = [];
+  for (let i = 0; i < longest; i++) {
+    lists.forEach((l) => {
+      if (l[i]) plan.push(l[i]);
+    });
+  }
+  return plan;
+};
+
+export const movePlanEntry = (plan, from, to) => {
+  const next = [...plan];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+export const rotatePlanEntry = (plan, key, by = 90) =>
+  plan.map((p) => (p.key === key ? { ...p, rotation: (p.rotation + by + 360) % 360 } : p));
+
+// the copy goes right after the original
+export const duplicatePlanEntry = (plan, key) =>
+  plan.flatMap((p) => (p.key === key ? [p, entry(p.fileId, p.pageIndex, p.rotation)] : [p]));
+
+export const removePlanEntry = (plan, key) => plan.filter((p) => p.key !== key);
@@ -0,0 +1,126 @@
+/**
+ * Page grouping for split tools. Every helper returns groups of
+ * { label, pages } where `pages` are 0-based indices and `label` is the
+ * 1-based range it covers ("1-3", "7", "odd"), used for output file names.
+ */
+
+// "1-3,4,6-9" style label for a list of 0-based indices
+export const rangeLabel = (pages) => {
+  const runs = [];
+  for (const p of pages) {
+    const last = runs[runs.length - 1];
+    if (last && p === last[1] + 1) last[1] = p;
+    else runs.push([p, p]);
+  }
+  return runs.map(([a, b]) => (a === b ? `${a + 1}` : `${a + 1}-${b + 1}`)).join(",");
+};
+
+const span = (from, to) => {
+  const step = from <= to ? 1 : -1;
+  const pages = [];
+  for (let p = from; p !== to + step; p += step) pages.push(p);
+  return pages;
+};
+
+const group = (pages) => ({ label: rangeLabel(pages), pages });
+
+/**
+ * parseRanges:
+ * - comma-separated items, one output per item: "1-3, 4-10, 11-end"
+ * - an item is "N", "N-M", "N-" / "N-end" (to the last page) or "-M" (from page 1)
+ * - "end" / "last" may be used wherever a page number is expected
+ * - descending ranges ("10-1") keep their order, so pages can be reversed
+ * - throws an Error naming the first bad item
+ */
+export const parseRanges = (expr, pageCount) => {
+  const items = String(expr || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!items.length) throw new Error("Enter at least one page range, e.g. 1-3,4-end");
+
+  const toPage = (token, fallback, item) => {
+    const t = token.trim().toLowerCase();
+    if (t === "") return fallback;
+    if (t === "end" || t === "last") return pageCount;
+    if (!/^\d+$/.test(t)) throw new Error(`"${item}" is not a valid page range`);
+    const n = Number(t);
+    if (n < 1 || n > pageCount) {
+      throw new Error(`"${item}" is outside the document (pages 1-${pageCount})`);
+    }
+    return n;
+  };
+
+  return items.map((item) => {
+    const parts = item.split("-");
+    if (parts.length > 2) throw new Error(`"${item}" is not a valid page range`);
+    if (parts.length === 1) {
+      const n = toPage(parts[0], null, item);
+      if (n === null) throw new Error(`"${item}" is not a valid page range`);
+      return group([n - 1]);
+    }
+    const from = toPage(parts[0], 1, item);
+    const to = toPage(parts[1], pageCount, item);
+    return { label: from === to ? `${from}` : `${from}-${to}`, pages: span(from - 1, to - 1) };
+  });
+};
+
+export const splitEvery = (pageCount, n) => {
+  const size = Math.floor(Number(n));
+  if (!(size >= 1)) throw new Error("Pages per file must be at least 1");
+  const groups = [];
+  for (let start = 0; start < pageCount; start += size) {
+    groups.push(group(span(start, Math.min(pageCount, start + size) - 1)));
+  }
+  return groups;
+};
+
+// earlier parts take the extra pages when it doesn't divide evenly
+export const splitIntoParts = (pageCount, k) => {
+  const parts = Math.floor(Number(k));
+  if (!(parts >= 1)) throw new Error("Number of parts must be at least 1");
+  if (parts > pageCount) throw new Error(`Can't make ${parts} parts from ${pageCount} page(s)`);
+  const base = Math.floor(pageCount / parts);
+  const extra = pageCount % parts;
+  const groups = [];
+  let start = 0;
+  for (let i = 0; i < parts; i++) {
+    const size = base + (i < extra ? 1 : 0);
+    groups.push(group(span(start, start + size - 1)));
+    start += size;
+  }
+  return groups;
+};
+
+export const splitOddEven = (pageCount, which) => {
+  const pages = [];
+  for (let p = which === "even" ? 1 : 0; p < pageCount; p += 2) pages.push(p);
+  if (!pages.length) throw new Error(`This document has no ${which} pages`);
+  return [{ label: which, pages }];
+};
+
+export const splitEachPage = (pageCount) => span(0, pageCount - 1).map((p) => group([p]));
+
+/**
+ * splitByOutline:
+ * - one group per bookmark at `depth` or shallower, running to the next one
+ * - pages before the first bookmark become a "Front matter" group
+ * - bookmarks sharing a start page collapse into the first of them
+ * - groups carry the bookmark `title` for naming
+ */
+export const splitByOutline = (entries, pageCount, depth = 1) => {
+  const starts = [];
+  for (const entry of entries) {
+    if (entry.depth > depth || entry.pageIndex >= pageCount) continue;
+    if (starts.some((s) => s.pageIndex === entry.pageIndex)) continue;
+    starts.push(entry);
+  }
+  if (!starts.length) throw new Error("No bookmarks found at this level");
+  starts.sort((a, b) => a.pageIndex - b.pageIndex);
+
+  if (starts[0].pageIndex > 0) starts.unshift({ title: "Front matter", pageIndex: 0 });
+  return starts.map((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].pageIndex - 1 : pageCount - 1;
+    return { ...group(span(start.pageIndex, end)), title: start.title };
+  });
+};
@@ -0,0 +1,485 @@
+import {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFObjectCopier,
+  PDFRef,
+  PDFString,
+  degrees,
+} from "pdf-lib";
+
+/**
+ * Structure-preserving merge for MergePDF.
+ * - follows a page plan ([{ key, fileId, pageIndex, rotation }], see pagePlan.js)
+ * - outline: one top-level entry per source file, with that file's own
+ *   bookmarks nested underneath
+ * - internal links and named destinations are re-pointed at the merged pages;
+ *   links to pages that were left out are dropped
+ * - AcroForm fields are carried over; a field whose name is already taken by
+ *   an earlier file gets a "_<file number>" suffix so values don't get linked
+ * - a page used more than once gets its own annotations and form fields on
+ *   every repeat
+ */
+
+const N = {
+  A: PDFName.of("A"),
+  AcroForm: PDFName.of("AcroForm"),
+  Annots: PDFName.of("Annots"),
+  Count: PDFName.of("Count"),
+  D: PDFName.of("D"),
+  DA: PDFName.of("DA"),
+  Dest: PDFName.of("Dest"),
+  Dests: PDFName.of("Dests"),
+  DR: PDFName.of("DR"),
+  Fields: PDFName.of("Fields"),
+  First: PDFName.of("First"),
+  Fit: PDFName.of("Fit"),
+  Font: PDFName.of("Font"),
+  GoTo: PDFName.of("GoTo"),
+  IRT: PDFName.of("IRT"),
+  Kids: PDFName.of("Kids"),
+  Last: PDFName.of("Last"),
+  Link: PDFName.of("Link"),
+  Names: PDFName.of("Names"),
+  NeedAppearances: PDFName.of("NeedAppearances"),
+  Next: PDFName.of("Next"),
+  Outlines: PDFName.of("Outlines"),
+  P: PDFName.of("P"),
+  PageMode: PDFName.of("PageMode"),
+  Parent: PDFName.of("Parent"),
+  Popup: PDFName.of("Popup"),
+  Prev: PDFName.of("Prev"),
+  S: PDFName.of("S"),
+  Subtype: PDFName.of("Subtype"),
+  T: PDFName.of("T"),
+  Title: PDFName.of("Title"),
+  Widget: PDFName.of("Widget"),
+};
+
+const MAX_OUTLINE_DEPTH = 32; // guards against cyclic outlines
+
+const text = (obj) =>
+  obj instanceof PDFString || obj instanceof PDFHexString || obj instanceof PDFName
+    ? obj.decodeText()
+    : null;
+
+// ASCII keys stay literal strings so name-tree sorting matches byte order
+const pdfText = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? PDFString.of(value) : PDFHexString.fromText(value);
+
+const annotsOf = (pageNode) => {
+  const annots = pageNode.lookup(N.Annots);
+  return annots instanceof PDFArray ? annots : null;
+};
+
+// -----------------------------
+// SOURCE SIDE
+// -----------------------------
+
+// name -> destination object, from both the /Dests dict and the /Names tree
+const readNamedDests = (doc) => {
+  const named = new Map();
+  const catalog = doc.catalog;
+
+  const legacy = catalog.lookup(N.Dests);
+  if (legacy instanceof PDFDict) {
+    legacy.entries().forEach(([key, value]) => named.set(key.decodeText(), value));
+  }
+
+  const walk = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > MAX_OUTLINE_DEPTH) return;
+    const pairs = node.lookup(N.Names);
+    if (pairs instanceof PDFArray) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        const key = text(pairs.lookup(i));
+        if (key !== null) named.set(key, pairs.get(i + 1));
+      }
+    }
+    const kids = node.lookup(N.Kids);
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i), depth + 1);
+    }
+  };
+  const names = catalog.lookup(N.Names);
+  if (names instanceof PDFDict) walk(names.lookup(N.Dests), 0);
+
+  return named;
+};
+
+/**
+ * resolveDest: any destination form -> { pageIndex, view } in the source file
+ * - `view` is the rest of the explicit destination (/XYZ left top zoom, /Fit, ...)
+ */
+const resolveDest = (src, dest) => {
+  const { context } = src.doc;
+  let d = dest instanceof PDFRef ? context.lookup(dest) : dest;
+  const name = text(d);
+  if (name !== null) d = src.named.get(name);
+  if (d instanceof PDFRef) d = context.lookup(d);
+  if (d instanceof PDFDict) d = d.lookup(N.D);
+  if (!(d instanceof PDFArray) || d.size() === 0) return null;
+
+  const target = d.get(0);
+  let pageIndex = null;
+  if (target instanceof PDFRef) pageIndex = src.pageIndexByRef.get(target.toString()) ?? null;
+  else if (target instanceof PDFNumber) pageIndex = target.asNumber();
+  if (pageIndex === null) return null;
+
+  // view parameters are direct values (names, numbers, null), safe to reuse
+  const view = d.asArray().slice(1).filter((v) => !(v instanceof PDFRef));
+  return { pageIndex, view };
+};
+
+// dest of an outline item or link annotation: /Dest, or a GoTo action's /D
+const destOf = (dict) => {
+  const dest = dict.get(N.Dest);
+  if (dest) return dest;
+  const action = dict.lookup(N.A);
+  if (action instanceof PDFDict && action.get(N.S) === N.GoTo) return action.get(N.D);
+  return null;
+};
+
+/**
+ * Rewrites link destinations to "[pageIndex view...]" markers before copying.
+ * Copying an explicit destination would otherwise drag a stray copy of the
+ * target page along; /P back-pointers are dropped for the same reason.
+ */
+const prepareAnnotations = (src) => {
+  const { context } = src.doc;
+  src.doc.getPages().forEach((page) => {
+    const annots = annotsOf(page.node);
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict)) continue;
+      annot.delete(N.P);
+      if (annot.get(N.Subtype) !== N.Link) continue;
+
+      const dest = destOf(annot);
+      if (!dest) continue; // URI and other actions are left alone
+      const resolved = resolveDest(src, dest);
+      annot.delete(N.A);
+      annot.delete(N.Dest);
+      if (resolved) {
+        annot.set(N.Dest, context.obj([PDFNumber.of(resolved.pageIndex), ...resolved.view]));
+      }
+    }
+  });
+};
+
+const readOutlineTree = (src) => {
+  const outlines = src.doc.catalog.lookup(N.Outlines);
+  if (!(outlines instanceof PDFDict)) return [];
+  const seen = new Set();
+
+  const siblings = (first, depth) => {
+    const nodes = [];
+    let ref = first;
+    while (ref instanceof PDFRef && !seen.has(ref.toString()) && depth < MAX_OUTLINE_DEPTH) {
+      seen.add(ref.toString());
+      const item = src.doc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+      const dest = destOf(item);
+      nodes.push({
+        title: text(item.lookup(N.Title)) || "Untitled",
+        dest: dest ? resolveDest(src, dest) : null,
+        children: siblings(item.get(N.First), depth + 1),
+      });
+      ref = item.get(N.Next);
+    }
+    return nodes;
+  };
+  return siblings(outlines.get(N.First), 0);
+};
+
+// -----------------------------
+// MERGED SIDE
+// -----------------------------
+
+// source page index -> merged page ref, using the first time it appears in the plan
+const outputDest = (src, resolved) => {
+  const ref = resolved && src.outRefs.get(resolved.pageIndex);
+  return ref ? [ref, ...(resolved.view.length ? resolved.view : [N.Fit])] : null;
+};
+
+// copies a dict or array along with the direct objects inside it; indirect ones stay shared
+const cloneDirect = (obj, context) => {
+  if (obj instanceof PDFDict) {
+    const copy = context.obj({});
+    obj.entries().forEach(([key, value]) => copy.set(key, cloneDirect(value, context)));
+    return copy;
+  }
+  if (obj instanceof PDFArray) return context.obj(obj.asArray().map((v) => cloneDirect(v, context)));
+  return obj;
+};
+
+/**
+ * copyPages hands every copy of a source page the same /Annots array and
+ * annotation dicts. A repeat gets its own, and its widgets get their own
+ * field chain (so the field is renamed like any other clash in writeAcroForm).
+ */
+const separateAnnotations = (merged, page) => {
+  const { context } = merged;
+  const annots = annotsOf(page.node);
+  if (!annots) return;
+
+  const fieldCopies = new Map(); // source field ref -> its copy on this page
+  const copyField = (fieldRef, kidRef) => {
+    const known = fieldCopies.get(fieldRef.toString());
+    if (known) {
+      context.lookup(known).lookup(N.Kids).push(kidRef);
+      return known;
+    }
+    const field = context.lookup(fieldRef);
+    const copy = cloneDirect(field, context);
+    copy.set(N.Kids, context.obj([kidRef]));
+    const ref = context.register(copy);
+    fieldCopies.set(fieldRef.toString(), ref);
+    const parent = field.get(N.Parent);
+    if (parent instanceof PDFRef) copy.set(N.Parent, copyField(parent, ref));
+    return ref;
+  };
+
+  const copies = new Map(); // annotation ref -> its copy
+  const entries = annots.asArray().map((entry) => {
+    const annot = context.lookup(entry);
+    if (!(annot instanceof PDFDict)) return entry;
+    const ref = context.register(cloneDirect(annot, context));
+    if (entry instanceof PDFRef) copies.set(entry.toString(), ref);
+    return ref;
+  });
+
+  entries.forEach((ref) => {
+    const annot = context.lookup(ref);
+    if (!(annot instanceof PDFDict) || !copies.size) return;
+    const parent = annot.get(N.Parent);
+    if (annot.get(N.Subtype) === N.Widget) {
+      if (parent instanceof PDFRef) annot.set(N.Parent, copyField(parent, ref));
+      return;
+    }
+    // popups and replies point at annotations on the same page
+    [N.Parent, N.Popup, N.IRT].forEach((key) => {
+      const target = annot.get(key);
+      const copy = target instanceof PDFRef && copies.get(target.toString());
+      if (copy) annot.set(key, copy);
+    });
+  });
+  page.node.set(N.Annots, context.obj(entries));
+};
+
+const fixAnnotations = (merged, src, page) => {
+  const annots = annotsOf(page.node);
+  if (!annots) return;
+  for (let i = annots.size() - 1; i >= 0; i--) {
+    const annot = annots.lookup(i);
+    if (!(annot instanceof PDFDict)) continue;
+    annot.set(N.P, page.ref);
+    if (annot.get(N.Subtype) !== N.Link) continue;
+
+    const dest = annot.lookup(N.Dest);
+    const marker = dest instanceof PDFArray ? dest.get(0) : null;
+    if (!(marker instanceof PDFNumber)) continue; // not one of prepareAnnotations' markers
+    const target = src.outRefs.get(marker.asNumber());
+    if (target) dest.set(0, target);
+    else annots.remove(i); // its target page isn't in the merge
+  }
+};
+
+const writeOutline = (merged, sources) => {
+  const { context } = merged;
+  const toNode = (src) => (n) => {
+    const children = n.children.map(toNode(src)).filter(Boolean);
+    const dest = outputDest(src, n.dest);
+    return dest || children.length ? { title: n.title, dest, children } : null;
+  };
+
+  const top = sources.map((src) => ({
+    title: src.item.name.replace(/\.pdf$/i, ""),
+    dest: [src.outRefs.get(src.firstPageIndex), N.Fit],
+    children: src.outline.map(toNode(src)).filter(Boolean),
+  }));
+
+  const rootRef = context.nextRef();
+  const writeLevel = (nodes, parentRef) => {
+    const refs = nodes.map(() => context.nextRef());
+    nodes.forEach((n, i) => {
+      const dict = context.obj({ Title: PDFHexString.fromText(n.title), Parent: parentRef });
+      if (n.dest) dict.set(N.Dest, context.obj(n.dest));
+      if (i > 0) dict.set(N.Prev, refs[i - 1]);
+      if (i < refs.length - 1) dict.set(N.Next, refs[i + 1]);
+      if (n.children.length) {
+        const kids = writeLevel(n.children, refs[i]);
+        dict.set(N.First, kids[0]);
+        dict.set(N.Last, kids[kids.length - 1]);
+        dict.set(N.Count, PDFNumber.of(-n.children.length)); // collapsed
+      }
+      context.assign(refs[i], dict);
+    });
+    return refs;
+  };
+
+  const refs = writeLevel(top, rootRef);
+  context.assign(
+    rootRef,
+    context.obj({ Type: "Outlines", First: refs[0], Last: refs[refs.length - 1], Count: refs.length })
+  );
+  merged.catalog.set(N.Outlines, rootRef);
+  merged.catalog.set(N.PageMode, PDFName.of("UseOutlines"));
+};
+
+const uniqueName = (name, taken, fileNo) => {
+  let candidate = taken.has(name) ? `${name}_${fileNo}` : name;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${name}_${fileNo}_${n}`;
+  taken.add(candidate);
+  return candidate;
+};
+
+const writeNamedDests = (merged, sources) => {
+  const taken = new Set();
+  const pairs = [];
+  sources.forEach((src) => {
+    src.named.forEach((dest, name) => {
+      const out = outputDest(src, resolveDest(src, dest));
+      if (out) pairs.push([uniqueName(name, taken, src.fileNo), out]);
+    });
+  });
+  if (!pairs.length) return;
+
+  pairs.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const { context } = merged;
+  const list = context.obj([]);
+  pairs.forEach(([name, dest]) => {
+    list.push(pdfText(name));
+    list.push(context.obj(dest));
+  });
+  merged.catalog.set(N.Names, context.obj({ Dests: context.obj({ Names: list }) }));
+};
+
+const writeAcroForm = (merged, sources, pagesBySource) => {
+  const { context } = merged;
+  const fields = [];
+  const fieldKeys = new Set();
+  const taken = new Set();
+  let dr = null;
+  let da = null;
+  let needAppearances = false;
+
+  sources.forEach((src) => {
+    const form = src.doc.catalog.lookup(N.AcroForm);
+    if (!(form instanceof PDFDict)) return;
+
+    // climb from each copied widget to its top-level field
+    pagesBySource.get(src).forEach((page) => {
+      const annots = annotsOf(page.node);
+      if (!annots) return;
+      for (let i = 0; i < annots.size(); i++) {
+        let ref = annots.get(i);
+        if (!(ref instanceof PDFRef)) continue;
+        let dict = context.lookup(ref);
+        if (!(dict instanceof PDFDict) || dict.get(N.Subtype) !== N.Widget) continue;
+        while (dict.get(N.Parent) instanceof PDFRef) {
+          ref = dict.get(N.Parent);
+          dict = context.lookup(ref);
+        }
+        if (fieldKeys.has(ref.toString())) continue;
+        fieldKeys.add(ref.toString());
+        fields.push(ref);
+
+        const name = text(dict.lookup(N.T));
+        if (name !== null) {
+          const unique = uniqueName(name, taken, src.fileNo);
+          if (unique !== name) dict.set(N.T, PDFHexString.fromText(unique));
+        }
+      }
+    });
+
+    // default resources: first file wins on clashing font names
+    const srcDr = form.lookup(N.DR);
+    if (srcDr instanceof PDFDict) {
+      const copied = PDFObjectCopier.for(src.doc.context, context).copy(srcDr);
+      if (!dr) dr = copied;
+      else {
+        const fonts = dr.lookup(N.Font);
+        const more = copied.lookup(N.Font);
+        if (fonts instanceof PDFDict && more instanceof PDFDict) {
+          more.entries().forEach(([k, v]) => fonts.has(k) || fonts.set(k, v));
+        }
+      }
+    }
+    da = da || form.get(N.DA);
+    needAppearances = needAppearances || form.get(N.NeedAppearances) === PDFBool.True;
+  });
+
+  if (!fields.length) return;
+  const form = context.obj({ Fields: context.obj(fields) });
+  if (dr) form.set(N.DR, dr);
+  if (da) form.set(N.DA, da);
+  if (needAppearances) form.set(N.NeedAppearances, PDFBool.True);
+  merged.catalog.set(N.AcroForm, context.register(form));
+};
+
+/**
+ * mergePages:
+ * - items: [{ id, name, file }]; plan: [{ key, fileId, pageIndex, rotation }]
+ * - `onProgress(message)` reports per-file progress
+ * - resolves to the merged PDFDocument (not yet saved)
+ */
+export const mergePages = async (items, plan, onProgress) => {
+  const merged = await PDFDocument.create();
+  const used = items.filter((it) => plan.some((p) => p.fileId === it.id));
+  const sources = [];
+  const copies = new Map(); // plan key -> copied page
+  const sourceById = new Map();
+
+  for (let i = 0; i < used.length; i++) {
+    const item = used[i];
+    onProgress?.(`Processing ${i + 1} / ${used.length}: ${item.name}`);
+    const doc = await PDFDocument.load(await item.file.arrayBuffer());
+    const src = {
+      item,
+      doc,
+      fileNo: i + 1,
+      pageIndexByRef: new Map(doc.getPages().map((p, idx) => [p.ref.toString(), idx])),
+      outRefs: new Map(),
+    };
+    src.named = readNamedDests(doc);
+    src.outline = readOutlineTree(src);
+    prepareAnnotations(src);
+
+    // one copyPages call per file keeps shared fonts/images from being duplicated
+    const entries = plan.filter((p) => p.fileId === item.id);
+    const copied = await merged.copyPages(doc, entries.map((p) => p.pageIndex));
+    entries.forEach((p, j) => copies.set(p.key, copied[j]));
+    sources.push(src);
+    sourceById.set(item.id, src);
+  }
+
+  onProgress?.("Assembling pages...");
+  const pagesBySource = new Map(sources.map((src) => [src, []]));
+  plan.forEach((p) => {
+    const page = copies.get(p.key);
+    if (p.rotation) page.setRotation(degrees((page.getRotation().angle + p.rotation) % 360));
+    merged.addPage(page);
+    const src = sourceById.get(p.fileId);
+    if (src.outRefs.has(p.pageIndex)) separateAnnotations(merged, page);
+    else src.outRefs.set(p.pageIndex, page.ref);
+    if (src.firstPageIndex === undefined) src.firstPageIndex = p.pageIndex;
+    pagesBySource.get(src).push(page);
+  });
+
+  onProgress?.("Rebuilding bookmarks, links and forms...");
+  sources.forEach((src) => pagesBySource.get(src).forEach((page) => fixAnnotations(merged, src, page)));
+  // top-level outline entries follow the order files first appear in the plan
+  const ordered = [...sources].sort(
+    (a, b) => merged.getPages().indexOf(pagesBySource.get(a)[0]) - merged.getPages().indexOf(pagesBySource.get(b)[0])
+  );
+  writeOutline(merged, ordered);
+  writeNamedDests(merged, sources);
+  writeAcroForm(merged, sources, pagesBySource);
+
+  return merged;
+};
@@ -0,0 +1,503 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  decodePDFRawStream,
+} from "pdf-lib";
+import { crc32 } from "./crc32";
+import { deflate, encodeCanvas, imageXObject } from "./imageEncode";
+
+/**
+ * Structure-preserving PDF optimization (text and vectors are left alone).
+ * - images drawn above `maxDpi` are downsampled and re-encoded as JPEG; the
+ *   DPI comes from how large each image is actually drawn on the page
+ * - with color "gray" or "mono" every image we can decode is also converted
+ *   (see utils/imageEncode for how each one is encoded)
+ * - byte-identical streams, fonts and font descriptors are merged into one copy
+ * - uncompressed streams get Flate compression
+ * - objects nothing points at any more are dropped before saving
+ * - the result is still a normal, searchable PDF
+ */
+
+const N = {
+  BitsPerComponent: PDFName.of("BitsPerComponent"),
+  ColorSpace: PDFName.of("ColorSpace"),
+  Colors: PDFName.of("Colors"),
+  Columns: PDFName.of("Columns"),
+  DCTDecode: PDFName.of("DCTDecode"),
+  Decode: PDFName.of("Decode"),
+  DecodeParms: PDFName.of("DecodeParms"),
+  Filter: PDFName.of("Filter"),
+  FlateDecode: PDFName.of("FlateDecode"),
+  Font: PDFName.of("Font"),
+  FontDescriptor: PDFName.of("FontDescriptor"),
+  Form: PDFName.of("Form"),
+  Height: PDFName.of("Height"),
+  Image: PDFName.of("Image"),
+  ImageMask: PDFName.of("ImageMask"),
+  Length: PDFName.of("Length"),
+  Mask: PDFName.of("Mask"),
+  Matrix: PDFName.of("Matrix"),
+  N: PDFName.of("N"),
+  Predictor: PDFName.of("Predictor"),
+  Resources: PDFName.of("Resources"),
+  Subtype: PDFName.of("Subtype"),
+  Type: PDFName.of("Type"),
+  Width: PDFName.of("Width"),
+  XObject: PDFName.of("XObject"),
+};
+
+const DEDUPE_DICT_TYPES = [N.Font, N.FontDescriptor];
+const MAX_FORM_DEPTH = 12;
+const MIN_DEFLATE_SIZE = 256;
+
+// -----------------------------
+// WHERE IMAGES ARE DRAWN
+// -----------------------------
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+
+const isDelimiter = (c) => c === 40 || c === 41 || c === 60 || c === 62 || c === 91 || c === 93 || c === 123 || c === 125 || c === 47 || c === 37;
+const isSpace = (c) => c === 32 || c === 10 || c === 13 || c === 9 || c === 12 || c === 0;
+
+/**
+ * contentOps: minimal content-stream tokenizer
+ * - yields [operator, operands] where operands are numbers and /Names only
+ * - skips strings, hex strings, comments and inline image data
+ */
+function* contentOps(bytes) {
+  let i = 0;
+  let operands = [];
+  const n = bytes.length;
+
+  while (i < n) {
+    const c = bytes[i];
+    if (isSpace(c)) {
+      i++;
+    } else if (c === 37) {
+      while (i < n && bytes[i] !== 10 && bytes[i] !== 13) i++;
+    } else if (c === 40) {
+      // literal string, with nesting and escapes
+      let depth = 0;
+      for (; i < n; i++) {
+        if (bytes[i] === 92) i++;
+        else if (bytes[i] === 40) depth++;
+        else if (bytes[i] === 41 && --depth === 0) break;
+      }
+      i++;
+      operands.push(null);
+    } else if (c === 60 && bytes[i + 1] !== 60) {
+      while (i < n && bytes[i] !== 62) i++;
+      i++;
+      operands.push(null);
+    } else if (c === 60 || c === 62) {
+      i += 2; // << >>
+    } else if (c === 91 || c === 93 || c === 123 || c === 125) {
+      i++;
+    } else if (c === 47) {
+      let j = i + 1;
+      while (j < n && !isSpace(bytes[j]) && !isDelimiter(bytes[j])) j++;
+      operands.push({ name: String.fromCharCode(...bytes.subarray(i + 1, j)) });
+      i = j;
+    } else {
+      let j = i;
+      while (j < n && !isSpace(bytes[j]) && !isDelimiter(bytes[j])) j++;
+      const token = String.fromCharCode(...bytes.subarray(i, j));
+      i = Math.max(j, i + 1);
+      const num = Number(token);
+      if (token !== "" && !Number.isNaN(num)) {
+        operands.push(num);
+        continue;
+      }
+      if (token === "ID") {
+        // inline image data runs to the next whitespace-delimited EI
+        i++;
+        while (i < n && !(isSpace(bytes[i - 1]) && bytes[i] === 69 && bytes[i + 1] === 73 && (i + 2 >= n || isSpace(bytes[i + 2])))) i++;
+        i += 2;
+      }
+      yield [token, operands];
+      operands = [];
+    }
+  }
+}
+
+const decodeContents = (stream) =>
+  stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+
+// page.node.Contents may be a single stream or an array of them
+const pageContentBytes = (context, page) => {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray ? contents.asArray().map((r) => context.lookup(r)) : [contents];
+  const parts = streams.filter(Boolean).map(decodeContents);
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length + 1, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    out[offset + p.length] = 10; // streams are concatenated with a separator
+    offset += p.length + 1;
+  });
+  return out;
+};
+
+/**
+ * measureImages:
+ * - walks every page (and the form XObjects it draws) tracking the CTM
+ * - returns Map(image ref tag -> { ref, dpi }) with the lowest DPI the image
+ *   is drawn at, i.e. its largest use
+ */
+const measureImages = (doc) => {
+  const { context } = doc;
+  const images = new Map();
+
+  const run = (bytes, resources, ctm, depth) => {
+    const xobjects = resources instanceof PDFDict ? resources.lookup(N.XObject) : null;
+    const stack = [];
+    let current = ctm;
+
+    for (const [op, args] of contentOps(bytes)) {
+      if (op === "q") stack.push(current);
+      else if (op === "Q") current = stack.pop() || ctm;
+      else if (op === "cm" && args.length >= 6) current = multiply(args.slice(-6), current);
+      else if (op === "Do" && xobjects instanceof PDFDict && args[0]?.name) {
+        const ref = xobjects.get(PDFName.of(args[0].name));
+        const xobj = ref instanceof PDFRef ? context.lookup(ref) : null;
+        if (!(xobj instanceof PDFStream)) continue;
+        const subtype = xobj.dict.get(N.Subtype);
+
+        if (subtype === N.Image) {
+          const widthPt = Math.hypot(current[0], current[1]);
+          const heightPt = Math.hypot(current[2], current[3]);
+          const w = xobj.dict.lookup(N.Width, PDFNumber).asNumber();
+          const h = xobj.dict.lookup(N.Height, PDFNumber).asNumber();
+          if (!widthPt || !heightPt) continue;
+          const dpi = Math.min(w / (widthPt / 72), h / (heightPt / 72));
+          const seen = images.get(ref.tag);
+          if (!seen || dpi < seen.dpi) images.set(ref.tag, { ref, dpi });
+        } else if (subtype === N.Form && depth < MAX_FORM_DEPTH) {
+          const matrix = xobj.dict.lookup(N.Matrix);
+          const m = matrix instanceof PDFArray ? matrix.asArray().map((v) => v.asNumber()) : IDENTITY;
+          run(decodeContents(xobj), xobj.dict.lookup(N.Resources) || resources, multiply(m, current), depth + 1);
+        }
+      }
+    }
+  };
+
+  const unsure = new Set();
+  doc.getPages().forEach((page) => {
+    try {
+      run(pageContentBytes(context, page), page.node.Resources(), IDENTITY, 0);
+    } catch (err) {
+      // images on a page we can't read are left untouched everywhere
+      console.warn("Skipping image analysis for a page:", err);
+      const xobjects = page.node.Resources()?.lookup(N.XObject);
+      if (xobjects instanceof PDFDict) xobjects.values().forEach((v) => v instanceof PDFRef && unsure.add(v.tag));
+    }
+  });
+  unsure.forEach((tag) => images.delete(tag));
+  return images;
+};
+
+// -----------------------------
+// IMAGE RE-ENCODING
+// -----------------------------
+
+// 1 (gray) or 3 (RGB) components, else null (CMYK, Indexed, Lab, ...)
+const componentCount = (context, colorSpace) => {
+  const cs = colorSpace instanceof PDFRef ? context.lookup(colorSpace) : colorSpace;
+  if (cs === PDFName.of("DeviceGray") || cs === PDFName.of("CalGray")) return 1;
+  if (cs === PDFName.of("DeviceRGB") || cs === PDFName.of("CalRGB")) return 3;
+  if (cs instanceof PDFArray) {
+    const family = cs.get(0);
+    if (family === PDFName.of("CalGray")) return 1;
+    if (family === PDFName.of("CalRGB")) return 3;
+    if (family === PDFName.of("ICCBased")) {
+      const profile = cs.lookup(1);
+      const n = profile instanceof PDFStream ? profile.dict.lookup(N.N) : null;
+      return n instanceof PDFNumber && [1, 3].includes(n.asNumber()) ? n.asNumber() : null;
+    }
+  }
+  return null;
+};
+
+// undoes PNG row filters (Predictor >= 10)
+const unpredictPng = (data, rowBytes, bpp) => {
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = new Uint8Array(rows * rowBytes);
+  for (let y = 0; y < rows; y++) {
+    const filter = data[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const a = x >= bpp ? out[dst + x - bpp] : 0;
+      const b = y > 0 ? out[dst - rowBytes + x] : 0;
+      const c = x >= bpp && y > 0 ? out[dst - rowBytes + x - bpp] : 0;
+      let v = data[src + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[dst + x] = v & 0xff;
+    }
+  }
+  return out;
+};
+
+/**
+ * imageSource: something drawImage accepts, or null if the image isn't one we re-encode
+ * - baseline JPEGs (DCTDecode) in gray/RGB are decoded by the browser
+ * - 8-bit Flate images in gray/RGB are unpacked here
+ * - colour-key masks, image masks, Decode arrays and other colour spaces are skipped
+ */
+const imageSource = async (context, stream) => {
+  const { dict } = stream;
+  if (dict.get(N.ImageMask) || dict.lookup(N.Mask) instanceof PDFArray || dict.get(N.Decode)) return null;
+  const components = componentCount(context, dict.get(N.ColorSpace));
+  const bpc = dict.lookup(N.BitsPerComponent);
+  if (!components || !(bpc instanceof PDFNumber) || bpc.asNumber() !== 8) return null;
+
+  const filter = dict.lookup(N.Filter);
+  const width = dict.lookup(N.Width, PDFNumber).asNumber();
+  const height = dict.lookup(N.Height, PDFNumber).asNumber();
+
+  if (filter === N.DCTDecode) {
+    return createImageBitmap(new Blob([stream.getContents()], { type: "image/jpeg" }));
+  }
+  if (filter !== N.FlateDecode) return null;
+
+  const parms = dict.lookup(N.DecodeParms);
+  const predictor = parms instanceof PDFDict ? parms.lookup(N.Predictor)?.asNumber?.() ?? 1 : 1;
+  if (predictor !== 1 && predictor < 10) return null; // TIFF predictor
+  let data = decodePDFRawStream(stream).decode();
+  if (predictor >= 10) {
+    const colors = parms.lookup(N.Colors)?.asNumber?.() ?? 1;
+    const columns = parms.lookup(N.Columns)?.asNumber?.() ?? 1;
+    if (colors !== components || columns !== width) return null;
+    data = unpredictPng(data, width * components, components);
+  }
+  if (data.length < width * height * components) return null;
+
+  const rgba = new ImageData(width, height);
+  for (let p = 0, s = 0; p < width * height; p++, s += components) {
+    rgba.data[p * 4] = data[s];
+    rgba.data[p * 4 + 1] = data[s + (components === 3 ? 1 : 0)];
+    rgba.data[p * 4 + 2] = data[s + (components === 3 ? 2 : 0)];
+    rgba.data[p * 4 + 3] = 255;
+  }
+  return createImageBitmap(rgba);
+};
+
+const makeCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// resized (and maybe recoloured) image replacing `stream`, or null when it wouldn't be smaller
+const reencodeImage = async (context, stream, scale, encoding) => {
+  const source = await imageSource(context, stream);
+  if (!source) return null;
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = makeCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, width, height);
+  source.close();
+
+  const image = await encodeCanvas(canvas, encoding);
+  if (image.bytes.length >= stream.getContents().length) return null;
+
+  const { dict } = stream;
+  const components = componentCount(context, dict.get(N.ColorSpace));
+  // the canvas always writes RGB JPEGs; RGB colour spaces keep their profile
+  const keepColorSpace = image.colorSpace === "DeviceRGB" && components === 3;
+  const next = imageXObject(context, image, keepColorSpace ? dict.get(N.ColorSpace) : undefined);
+  ["SMask", "Mask", "Interpolate", "Intent", "Metadata", "OC"].forEach((key) => {
+    const value = dict.get(PDFName.of(key));
+    if (value) next.dict.set(PDFName.of(key), value);
+  });
+  return next;
+};
+
+// -----------------------------
+// DUPLICATES AND UNUSED OBJECTS
+// -----------------------------
+
+const sameBytes = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+};
+
+// /Length is left out: identical streams may point at different length objects
+const streamDictKey = (dict) =>
+  dict
+    .entries()
+    .filter(([key]) => key !== N.Length)
+    .map(([key, value]) => `${key}${value}`)
+    .join(" ");
+
+const rewriteRefs = (obj, replacements) => {
+  if (obj instanceof PDFStream) {
+    rewriteRefs(obj.dict, replacements);
+  } else if (obj instanceof PDFDict) {
+    obj.entries().forEach(([key, value]) => {
+      const to = value instanceof PDFRef && replacements.get(value.tag);
+      if (to) obj.set(key, to);
+      else rewriteRefs(value, replacements);
+    });
+  } else if (obj instanceof PDFArray) {
+    for (let i = 0; i < obj.size(); i++) {
+      const value = obj.get(i);
+      const to = value instanceof PDFRef && replacements.get(value.tag);
+      if (to) obj.set(i, to);
+      else rewriteRefs(value, replacements);
+    }
+  }
+};
+
+/**
+ * dedupeObjects:
+ * - streams are compared by dictionary + bytes, fonts/font descriptors by
+ *   dictionary; rerun until stable, since merging font files makes their
+ *   descriptors identical, which makes the fonts identical
+ * - returns the number of objects removed
+ */
+const dedupeObjects = (context) => {
+  let removed = 0;
+  for (let round = 0; round < 4; round++) {
+    const seen = new Map(); // key -> [{ ref, obj }]
+    const replacements = new Map(); // duplicate ref tag -> kept ref
+    const duplicates = [];
+
+    context.enumerateIndirectObjects().forEach(([ref, obj]) => {
+      let key;
+      if (obj instanceof PDFRawStream) {
+        const bytes = obj.getContents();
+        key = `s${streamDictKey(obj.dict)}|${bytes.length}|${crc32(bytes)}`;
+      } else if (obj instanceof PDFDict && DEDUPE_DICT_TYPES.includes(obj.get(N.Type))) {
+        key = `d${obj.toString()}`;
+      } else {
+        return;
+      }
+      const candidates = seen.get(key) || [];
+      const match = candidates.find(
+        (c) => !(obj instanceof PDFRawStream) || sameBytes(c.obj.getContents(), obj.getContents())
+      );
+      if (match) {
+        replacements.set(ref.tag, match.ref);
+        duplicates.push(ref);
+      } else seen.set(key, [...candidates, { ref, obj }]);
+    });
+
+    if (!replacements.size) break;
+    context.enumerateIndirectObjects().forEach(([, obj]) => rewriteRefs(obj, replacements));
+    duplicates.forEach((ref) => context.delete(ref));
+    removed += duplicates.length;
+  }
+  return removed;
+};
+
+// drops everything not reachable from the trailer (catalog + info)
+const removeUnreachable = (context) => {
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter((r) => r instanceof PDFRef);
+
+  const visit = (obj) => {
+    if (obj instanceof PDFRef) {
+      if (!reachable.has(obj.tag)) pending.push(obj);
+    } else if (obj instanceof PDFStream) {
+      visit(obj.dict);
+    } else if (obj instanceof PDFDict) {
+      obj.entries().forEach(([, value]) => visit(value));
+    } else if (obj instanceof PDFArray) {
+      obj.asArray().forEach(visit);
+    }
+  };
+
+  while (pending.length) {
+    const ref = pending.pop();
+    if (reachable.has(ref.tag)) continue;
+    reachable.add(ref.tag);
+    visit(context.lookup(ref));
+  }
+
+  let removed = 0;
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (reachable.has(ref.tag)) return;
+    context.delete(ref);
+    removed++;
+  });
+  return removed;
+};
+
+const compressPlainStreams = async (context) => {
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFRawStream) || obj.dict.has(N.Filter)) continue;
+    const bytes = obj.getContents();
+    if (bytes.length < MIN_DEFLATE_SIZE) continue;
+    const packed = await deflate(bytes);
+    if (packed.length >= bytes.length) continue;
+    obj.dict.set(N.Filter, N.FlateDecode);
+    obj.dict.delete(N.DecodeParms);
+    context.assign(ref, PDFRawStream.of(obj.dict, packed));
+  }
+};
+
+/**
+ * optimizePdf:
+ * - options: { maxDpi = 150, quality = 0.75, color = "color", binarize, onProgress(message) }
+ * - resolves to a Blob; if nothing could be saved the original file is returned
+ */
+export const optimizePdf = async (file, { maxDpi = 150, quality = 0.75, color = "color", binarize, onProgress } = {}) => {
+  const doc = await PDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  const { context } = doc;
+
+  // duplicates first, so a shared image is measured across all its uses
+  onProgress?.("Removing duplicate fonts and images...");
+  dedupeObjects(context);
+
+  onProgress?.(color === "color" ? "Finding oversized images..." : "Finding images...");
+  // colour conversion touches every image; otherwise only the oversized ones
+  const targets = [...measureImages(doc).values()].filter(({ dpi }) => color !== "color" || dpi > maxDpi * 1.1);
+  for (let i = 0; i < targets.length; i++) {
+    const { ref, dpi } = targets[i];
+    onProgress?.(`Re-encoding image ${i + 1}/${targets.length}...`);
+    try {
+      const scale = dpi > maxDpi * 1.1 ? maxDpi / dpi : 1;
+      const next = await reencodeImage(context, context.lookup(ref), scale, { color, binarize, quality });
+      if (next) context.assign(ref, next);
+    } catch (err) {
+      console.warn("Keeping image as is:", ref.tag, err);
+    }
+  }
+
+  await compressPlainStreams(context);
+  removeUnreachable(context);
+
+  onProgress?.("Saving...");
+  const bytes = await doc.save({ useObjectStreams: true });
+  return bytes.length < file.size ? new Blob([bytes], { type: "application/pdf" }) : file;
+};
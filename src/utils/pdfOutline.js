@@ -0,0 +1,31 @@
+/**
+ * readOutline:
+ * - takes a loaded pdf.js document and returns its bookmarks flattened in
+ *   document order as { title, depth, pageIndex } (depth 1 = top level,
+ *   pageIndex 0-based)
+ * - bookmarks that point at URLs or unresolvable destinations are skipped
+ */
+export const readOutline = async (pdf) => {
+  const outline = (await pdf.getOutline()) || [];
+
+  const resolvePage = async (dest) => {
+    const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit[0] == null) return null;
+    const target = explicit[0];
+    // some writers store a page number instead of a page reference
+    return Number.isInteger(target) ? target : pdf.getPageIndex(target);
+  };
+
+  const entries = [];
+  const walk = async (items, depth) => {
+    for (const item of items) {
+      const pageIndex = item.dest ? await resolvePage(item.dest).catch(() => null) : null;
+      if (pageIndex !== null) {
+        entries.push({ title: item.title?.trim() || "Untitled", depth, pageIndex });
+      }
+      if (item.items?.length) await walk(item.items, depth + 1);
+    }
+  };
+  await walk(outline, 1);
+  return entries;
+};
@@ -0,0 +1,69 @@
+import { PDFDocument, concatTransformationMatrix, drawObject, popGraphicsState, pushGraphicsState } from "pdf-lib";
+import { encodeCanvas, imageXObject } from "./imageEncode";
+
+/**
+ * Raster compression: every page becomes one image.
+ * - pages render at `dpi` (72 = one pixel per point), capped at MAX_SIDE px
+ * - the output page keeps the original page size in points, so printing
+ *   and zoom levels behave like the source
+ * - colour pages are JPEGs; gray and mono pages pick their own encoding
+ *   (see utils/imageEncode)
+ * - pages render in compressWorker, for estimates and full runs; the PDF is
+ *   put back together on the page
+ */
+
+const MAX_SIDE = 5000;
+
+// OffscreenCanvas inside workers, a detached DOM canvas on the page
+const makeCanvas = (width, height) => {
+  if (typeof document === "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * renderPageImage:
+ * - pageNumber is 1-based (pdf.js convention)
+ * - options: { dpi, quality, color, binarize }
+ * - resolves to an encodeCanvas result plus the page's width/height in points
+ */
+export const renderPageImage = async (pdf, pageNumber, { dpi, quality, color, binarize }) => {
+  const page = await pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.min(dpi / 72, MAX_SIDE / Math.max(base.width, base.height));
+  const viewport = page.getViewport({ scale });
+
+  const canvas = makeCanvas(Math.round(viewport.width), Math.round(viewport.height));
+  const ctx = canvas.getContext("2d");
+  // the output has no alpha; transparent areas would otherwise turn black
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+
+  const image = await encodeCanvas(canvas, { color, binarize, quality });
+  // free canvas memory
+  canvas.width = 0;
+  canvas.height = 0;
+  page.cleanup();
+  return { ...image, width: base.width, height: base.height };
+};
+
+/**
+ * buildRasterPdf:
+ * - pages: renderPageImage results in output order
+ * - resolves to the rebuilt PDF as a Blob
+ */
+export const buildRasterPdf = async (pages) => {
+  const outPdf = await PDFDocument.create();
+  for (const image of pages) {
+    const { width, height } = image;
+    const ref = outPdf.context.register(imageXObject(outPdf.context, image));
+    const page = outPdf.addPage([width, height]);
+    const name = page.node.newXObject("Im", ref);
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(width, 0, 0, height, 0, 0), drawObject(name), popGraphicsState());
+  }
+  const outBytes = await outPdf.save();
+  return new Blob([outBytes], { type: "application/pdf" });
+};
@@ -0,0 +1,87 @@
+import { PDFDocument } from "pdf-lib";
+
+/**
+ * Password handling for protected PDFs.
+ * - pdf-lib can read that a file is encrypted but can't decrypt it, so
+ *   encrypted files go through @cantoo/pdf-lib (loaded on demand) and come
+ *   back as a plain File every tool can work with
+ * - files with only an owner password (print/copy restrictions) open with an
+ *   empty user password and never prompt
+ */
+
+export class PdfPasswordError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PdfPasswordError";
+  }
+}
+
+const loadSecure = () => import("@cantoo/pdf-lib");
+
+// @cantoo/pdf-lib reports "NEEDS PASSWORD" / "Password incorrect"
+const isPasswordFailure = (err) => /password/i.test(err?.message || "");
+
+export const isEncryptedPdf = async (file) => {
+  const doc = await PDFDocument.load(await file.arrayBuffer(), {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  return doc.isEncrypted;
+};
+
+/**
+ * unlockPdf:
+ * - resolves to `file` unchanged when it isn't encrypted, else to a decrypted copy
+ * - `askPassword({ name, retry })` resolves to the typed password, or null
+ *   if the user gives up; `retry` is true after a wrong password
+ * - throws PdfPasswordError when the user cancels
+ */
+export const unlockPdf = async (file, askPassword) => {
+  if (!(await isEncryptedPdf(file))) return file;
+
+  const { PDFDocument: SecurePDFDocument } = await loadSecure();
+  const bytes = await file.arrayBuffer();
+  let password = "";
+  let retry = false;
+
+  for (;;) {
+    try {
+      const doc = await SecurePDFDocument.load(bytes, { password, updateMetadata: false });
+      const plain = await doc.save();
+      return new File([plain], file.name, { type: "application/pdf", lastModified: file.lastModified });
+    } catch (err) {
+      if (!isPasswordFailure(err)) throw err;
+    }
+
+    password = await askPassword({ name: file.name, retry });
+    if (password === null) throw new PdfPasswordError(`${file.name} is password protected.`);
+    retry = true;
+  }
+};
+
+/**
+ * protectPdf:
+ * - AES-256 encrypts `file` (which must already be unlocked) and resolves to a Blob
+ * - `allow` = { print, copy, modify }; "modify" also covers annotating,
+ *   form filling and page assembly
+ * - screen-reader text extraction stays allowed whatever is chosen
+ */
+export const protectPdf = async (file, { userPassword, ownerPassword, allow }) => {
+  const { PDFDocument: SecurePDFDocument } = await loadSecure();
+  const doc = await SecurePDFDocument.load(await file.arrayBuffer(), { updateMetadata: false });
+  doc.encrypt({
+    userPassword,
+    ownerPassword,
+    algorithm: "AES-256",
+    permissions: {
+      printing: allow.print ? "highResolution" : false,
+      copying: allow.copy,
+      modifying: allow.modify,
+      annotating: allow.modify,
+      fillingForms: allow.modify,
+      documentAssembly: allow.modify,
+      contentAccessibility: true,
+    },
+  });
+  return new Blob([await doc.save()], { type: "application/pdf" });
+};
@@ -0,0 +1,57 @@
+// Shared pdf.js setup so every tool uses the same build and worker
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
+import workerUrl from "pdfjs-dist/legacy/build/pdf.worker.js?url";
+
+// Bundled by Vite and served from our own origin, so pdf.js works offline
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+// Fonts and CMaps pdf.js needs when it can't use the page's CSS (e.g. in
+// workers). Vite fingerprints each file, so look them up by name instead of
+// handing pdf.js a base URL.
+const byFileName = (modules) =>
+  Object.fromEntries(Object.entries(modules).map(([path, url]) => [path.split("/").pop(), url]));
+
+const STANDARD_FONTS = byFileName(
+  import.meta.glob("/node_modules/pdfjs-dist/standard_fonts/*.{pfb,ttf}", {
+    query: "?url",
+    import: "default",
+    eager: true,
+  })
+);
+const CMAPS = byFileName(
+  import.meta.glob("/node_modules/pdfjs-dist/cmaps/*.bcmap", { query: "?url", import: "default", eager: true })
+);
+
+const fetchBytes = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+class LocalCMapReaderFactory {
+  async fetch({ name }) {
+    const url = CMAPS[`${name}.bcmap`];
+    if (!url) throw new Error(`Unknown CMap ${name}`);
+    return { cMapData: await fetchBytes(url), compressionType: pdfjsLib.CMapCompressionType.BINARY };
+  }
+}
+
+class LocalStandardFontDataFactory {
+  async fetch({ filename }) {
+    const url = STANDARD_FONTS[filename];
+    if (!url) throw new Error(`Unknown standard font ${filename}`);
+    return fetchBytes(url);
+  }
+}
+
+// spread into getDocument() params; custom factories also switch off worker-side fetching
+export const LOCAL_DATA_OPTIONS = {
+  CMapReaderFactory: LocalCMapReaderFactory,
+  StandardFontDataFactory: LocalStandardFontDataFactory,
+  useWorkerFetch: false,
+};
+
+// for code that sets up its own worker (the PDF viewer) with the same file
+export { workerUrl };
+
+export default pdfjsLib;
@@ -0,0 +1,123 @@
+import { luminance, otsuThreshold } from "./threshold";
+
+/**
+ * Cleanup for scanned signatures.
+ * - flattens paper shade and shadows by dividing out a coarse background estimate
+ * - binarizes with Otsu's threshold (or a fixed one) to black ink on white
+ * - trims to the ink bounding box, keeping a small margin
+ *
+ * Works on a downsized copy so large phone photos stay fast.
+ */
+
+const MAX_WORKING_SIDE = 1600;
+const BLOCK = 32; // background estimation block size (px)
+const MIN_INK_PER_LINE = 2; // rows/cols with fewer ink pixels count as noise
+
+// Paper is the brightest thing in each block; interpolate block maxima into a
+// smooth background map and divide it out so shadows and grey paper go white.
+const flattenBackground = (lum, w, h) => {
+  const gw = Math.ceil(w / BLOCK);
+  const gh = Math.ceil(h / BLOCK);
+  const grid = new Float32Array(gw * gh);
+  for (let y = 0; y < h; y++) {
+    const gy = Math.floor(y / BLOCK);
+    for (let x = 0; x < w; x++) {
+      const g = gy * gw + Math.floor(x / BLOCK);
+      const v = lum[y * w + x];
+      if (v > grid[g]) grid[g] = v;
+    }
+  }
+
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const fy = Math.min(gh - 1, Math.max(0, y / BLOCK - 0.5));
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(gh - 1, y0 + 1);
+    const ty = fy - y0;
+    for (let x = 0; x < w; x++) {
+      const fx = Math.min(gw - 1, Math.max(0, x / BLOCK - 0.5));
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(gw - 1, x0 + 1);
+      const tx = fx - x0;
+      const top = grid[y0 * gw + x0] * (1 - tx) + grid[y0 * gw + x1] * tx;
+      const bottom = grid[y1 * gw + x0] * (1 - tx) + grid[y1 * gw + x1] * tx;
+      const bg = Math.max(1, top * (1 - ty) + bottom * ty);
+      out[y * w + x] = Math.min(255, (lum[y * w + x] / bg) * 255);
+    }
+  }
+  return out;
+};
+
+const inkBounds = (ink, w, h) => {
+  const rows = new Uint32Array(h);
+  const cols = new Uint32Array(w);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (ink[y * w + x]) {
+        rows[y]++;
+        cols[x]++;
+      }
+    }
+  }
+  const first = (arr) => arr.findIndex((n) => n >= MIN_INK_PER_LINE);
+  const last = (arr) => {
+    for (let i = arr.length - 1; i >= 0; i--) if (arr[i] >= MIN_INK_PER_LINE) return i;
+    return -1;
+  };
+  const top = first(rows);
+  const left = first(cols);
+  if (top < 0 || left < 0) return null;
+  return { x: left, y: top, width: last(cols) - left + 1, height: last(rows) - top + 1 };
+};
+
+/**
+ * cleanSignature:
+ * - `threshold`: "auto" for Otsu, or 0-255 (higher keeps fainter strokes)
+ * - `margin`: white border around the trimmed ink, as a fraction of its size
+ *
+ * Returns a canvas; when no ink is found the whole (binarized) image is kept.
+ */
+export const cleanSignature = (source, { threshold = "auto", margin = 0.06 } = {}) => {
+  const k = Math.min(1, MAX_WORKING_SIDE / Math.max(source.width, source.height));
+  const w = Math.max(1, Math.round(source.width * k));
+  const h = Math.max(1, Math.round(source.height * k));
+
+  const work = document.createElement("canvas");
+  work.width = w;
+  work.height = h;
+  const wctx = work.getContext("2d", { willReadFrequently: true });
+  wctx.fillStyle = "#ffffff"; // transparent PNGs become white paper
+  wctx.fillRect(0, 0, w, h);
+  wctx.drawImage(source, 0, 0, w, h);
+
+  const img = wctx.getImageData(0, 0, w, h);
+  const flat = flattenBackground(luminance(img.data, w * h), w, h);
+  // cap the auto threshold so paper texture never counts as ink
+  const t = threshold === "auto" ? Math.min(otsuThreshold(flat), 230) : Number(threshold);
+
+  const ink = new Uint8Array(w * h);
+  for (let i = 0, p = 0; i < ink.length; i++, p += 4) {
+    ink[i] = flat[i] < t ? 1 : 0;
+    const v = ink[i] ? 0 : 255;
+    img.data[p] = v;
+    img.data[p + 1] = v;
+    img.data[p + 2] = v;
+    img.data[p + 3] = 255;
+  }
+  wctx.putImageData(img, 0, 0);
+
+  const box = inkBounds(ink, w, h) || { x: 0, y: 0, width: w, height: h };
+  const pad = Math.round(Math.max(box.width, box.height) * margin);
+
+  const out = document.createElement("canvas");
+  out.width = box.width + pad * 2;
+  out.height = box.height + pad * 2;
+  const octx = out.getContext("2d");
+  octx.fillStyle = "#ffffff";
+  octx.fillRect(0, 0, out.width, out.height);
+  octx.drawImage(work, box.x, box.y, box.width, box.height, pad, pad, box.width, box.height);
+
+  work.width = 0;
+  work.height = 0;
+  return out;
+};
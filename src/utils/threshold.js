@@ -0,0 +1,49 @@
+/**
+ * Gray conversion and automatic thresholding shared by signature cleanup and
+ * the 1-bit PDF encoder.
+ * - luminance: Rec. 601 luma of RGBA pixels as floats (0-255)
+ * - toGray: the same, rounded to 8-bit gray
+ * - otsuThreshold: the level that best separates dark from light values
+ */
+
+const luma = (data, p) => 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+
+export const luminance = (data, count) => {
+  const lum = new Float32Array(count);
+  for (let i = 0, p = 0; i < count; i++, p += 4) lum[i] = luma(data, p);
+  return lum;
+};
+
+export const toGray = (data, count) => {
+  const gray = new Uint8Array(count);
+  for (let i = 0, p = 0; i < count; i++, p += 4) gray[i] = Math.round(luma(data, p));
+  return gray;
+};
+
+export const otsuThreshold = (values) => {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < values.length; i++) hist[values[i] | 0]++;
+
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = values.length - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+};
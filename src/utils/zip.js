@@ -0,0 +1,151 @@
+import { crc32 } from "./crc32";
+
+/**
+ * Minimal streaming ZIP writer (stored entries, no compression).
+ * - entries: [{ name, data: Blob | Uint8Array | string, lastModified? }]
+ * - each entry is checksummed by streaming its Blob, then emitted as
+ *   header + the original Blob, so nothing is copied into one big buffer
+ * - PDFs and JPEGs are already compressed, so storing costs almost nothing
+ */
+
+const MAX_ZIP_SIZE = 0xffffffff; // no ZIP64
+
+const toBlob = (data) => (data instanceof Blob ? data : new Blob([data]));
+
+const blobCrc32 = async (blob) => {
+  const reader = blob.stream().getReader();
+  let crc = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return crc;
+    crc = crc32(value, crc);
+  }
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const localHeader = ({ nameBytes, crc, size, time, date }) => {
+  const buf = new Uint8Array(30 + nameBytes.length);
+  const v = new DataView(buf.buffer);
+  v.setUint32(0, 0x04034b50, true);
+  v.setUint16(4, 20, true); // version needed
+  v.setUint16(6, 0x0800, true); // UTF-8 names
+  v.setUint16(8, 0, true); // stored
+  v.setUint16(10, time, true);
+  v.setUint16(12, date, true);
+  v.setUint32(14, crc, true);
+  v.setUint32(18, size, true);
+  v.setUint32(22, size, true);
+  v.setUint16(26, nameBytes.length, true);
+  buf.set(nameBytes, 30);
+  return buf;
+};
+
+const centralHeader = ({ nameBytes, crc, size, time, date, offset }) => {
+  const buf = new Uint8Array(46 + nameBytes.length);
+  const v = new DataView(buf.buffer);
+  v.setUint32(0, 0x02014b50, true);
+  v.setUint16(4, 20, true); // version made by
+  v.setUint16(6, 20, true); // version needed
+  v.setUint16(8, 0x0800, true);
+  v.setUint16(10, 0, true);
+  v.setUint16(12, time, true);
+  v.setUint16(14, date, true);
+  v.setUint32(16, crc, true);
+  v.setUint32(20, size, true);
+  v.setUint32(24, size, true);
+  v.setUint16(28, nameBytes.length, true);
+  v.setUint32(42, offset, true);
+  buf.set(nameBytes, 46);
+  return buf;
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const buf = new Uint8Array(22);
+  const v = new DataView(buf.buffer);
+  v.setUint32(0, 0x06054b50, true);
+  v.setUint16(8, count, true);
+  v.setUint16(10, count, true);
+  v.setUint32(12, size, true);
+  v.setUint32(16, offset, true);
+  return buf;
+};
+
+/**
+ * zipParts:
+ * - async generator of ZIP pieces (Uint8Array headers and entry Blobs) in file order
+ * - `onEntry(index, total)` fires as each entry is added
+ */
+export async function* zipParts(entries, onEntry) {
+  const encoder = new TextEncoder();
+  const central = [];
+  let offset = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    onEntry?.(i + 1, entries.length);
+    const blob = toBlob(entries[i].data);
+    const meta = {
+      nameBytes: encoder.encode(entries[i].name),
+      crc: await blobCrc32(blob),
+      size: blob.size,
+      ...dosDateTime(new Date(entries[i].lastModified || Date.now())),
+      offset,
+    };
+    const header = localHeader(meta);
+    offset += header.length + blob.size;
+    if (offset > MAX_ZIP_SIZE) throw new Error("ZIP would be larger than 4 GB");
+    central.push(centralHeader(meta));
+    yield header;
+    yield blob;
+  }
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  yield* central;
+  yield endOfCentralDirectory(entries.length, centralSize, offset);
+}
+
+/**
+ * saveZip:
+ * - streams straight to disk via the File System Access API when available
+ * - otherwise assembles a Blob from the parts (browsers keep large Blobs
+ *   out of the JS heap) and triggers a normal download
+ * - resolves false if the user cancels the save dialog
+ */
+export const saveZip = async (entries, fileName, onEntry) => {
+  if (window.showSaveFilePicker) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: "ZIP archive", accept: { "application/zip": [".zip"] } }],
+      });
+    } catch (err) {
+      if (err.name === "AbortError") return false;
+      throw err;
+    }
+    const writable = await handle.createWritable();
+    try {
+      for await (const part of zipParts(entries, onEntry)) await writable.write(part);
+      await writable.close();
+    } catch (err) {
+      await writable.abort();
+      throw err;
+    }
+    return true;
+  }
+
+  const parts = [];
+  for await (const part of zipParts(entries, onEntry)) parts.push(part);
+  const url = URL.createObjectURL(new Blob(parts, { type: "application/zip" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return true;
+};
@@ -0,0 +1,110 @@
+// Loading pdf.worker here makes pdf.js parse in this thread instead of
+// spawning a nested worker (which needs window.location). It also registers a
+// handler on `self`, but that one only reacts to pdf.js-tagged messages.
+import "pdfjs-dist/legacy/build/pdf.worker";
+import pdfjsLib, { LOCAL_DATA_OPTIONS } from "../utils/pdfjs";
+import { renderPageImage } from "../utils/pdfRaster";
+import { optimizePdf } from "../utils/pdfOptimize";
+import { createEstimator } from "../utils/compressPresets";
+
+/**
+ * Compression worker (see utils/compressWorkers for the main-thread side).
+ * - { type: "open", data } -> { numPages }
+ * - { type: "render", page, dpi, quality, color, binarize } -> renderPageImage result (bytes transferred)
+ * - { type: "estimate", mode, dpi, quality, color, binarize } -> { size } (see compressPresets.createEstimator)
+ * - { type: "optimize", data, maxDpi, quality, color, binarize } -> { bytes } or { bytes: null } if
+ *   nothing was saved, with { type: "progress", message } updates on the way
+ * - every request carries an `id` that its replies echo; failures reply { type: "error", message }
+ */
+
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(entry, width, height) {
+    entry.canvas.width = width;
+    entry.canvas.height = height;
+  }
+
+  destroy(entry) {
+    entry.canvas.width = 0;
+    entry.canvas.height = 0;
+    entry.canvas = null;
+    entry.context = null;
+  }
+}
+
+// SVG transfer-function filters need a DOM; pages render without them here
+class NoFilterFactory {
+  addFilter() {
+    return "none";
+  }
+
+  addHCMFilter() {
+    return "none";
+  }
+
+  addHighlightHCMFilter() {
+    return "none";
+  }
+
+  destroy() {}
+}
+
+let pdf = null;
+let estimator = null; // per open document, it caches the structure-mode sample
+
+const handlers = {
+  open: async ({ data }) => {
+    pdf?.destroy();
+    estimator = null;
+    pdf = await pdfjsLib.getDocument({
+      data: new Uint8Array(data),
+      canvasFactory: new OffscreenCanvasFactory(),
+      filterFactory: new NoFilterFactory(),
+      // no document.fonts here: glyphs are drawn as paths
+      disableFontFace: true,
+      useSystemFonts: false,
+      ...LOCAL_DATA_OPTIONS,
+    }).promise;
+    return [{ numPages: pdf.numPages }];
+  },
+
+  render: async ({ page, dpi, quality, color, binarize }) => {
+    const result = await renderPageImage(pdf, page, { dpi, quality, color, binarize });
+    return [result, [result.bytes.buffer]];
+  },
+
+  estimate: async ({ mode, dpi, quality, color, binarize }) => {
+    estimator = estimator || createEstimator(pdf);
+    return [{ size: await estimator.estimate(mode, { dpi, quality, color, binarize }) }];
+  },
+
+  optimize: async ({ id, data, maxDpi, quality, color, binarize }) => {
+    const file = new File([data], "input.pdf", { type: "application/pdf" });
+    const out = await optimizePdf(file, {
+      maxDpi,
+      quality,
+      color,
+      binarize,
+      onProgress: (message) => self.postMessage({ id, type: "progress", message }),
+    });
+    if (out === file) return [{ bytes: null }];
+    const bytes = new Uint8Array(await out.arrayBuffer());
+    return [{ bytes }, [bytes.buffer]];
+  },
+};
+
+self.addEventListener("message", async (e) => {
+  const { id, type } = e.data || {};
+  const handler = handlers[type];
+  if (!id || !handler) return;
+  try {
+    const [result, transfer = []] = await handler(e.data);
+    self.postMessage({ id, type: "done", ...result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+});
@@ -0,0 +1,67 @@
+import * as faceapi from "@vladmandic/face-api";
+import manifest from "@vladmandic/face-api/model/tiny_face_detector_model-weights_manifest.json";
+import weightsUrl from "@vladmandic/face-api/model/tiny_face_detector_model.bin?url";
+
+/**
+ * Face detection worker (see utils/faceCrop for the main-thread side).
+ * - TinyFaceDetector weights ship with the app, so detection works offline
+ * - { type: "detect", width, height, data } (RGBA bytes) -> { faces: [{ x, y, width, height, score }] }
+ * - every request carries an `id` that its reply echoes; failures reply { type: "error", message }
+ */
+
+const INPUT_SIZE = 416; // network input; larger finds smaller faces but is slower
+const MIN_SCORE = 0.5;
+
+// face-api only sets itself up on a DOM page or in Node; inputs here are
+// tensors, so the element classes only have to exist for its instanceof checks
+const Unused = class {};
+const workerEnvironment = () => ({
+  Canvas: typeof OffscreenCanvas === "undefined" ? Unused : OffscreenCanvas,
+  CanvasRenderingContext2D:
+    typeof OffscreenCanvasRenderingContext2D === "undefined" ? Unused : OffscreenCanvasRenderingContext2D,
+  Image: Unused,
+  ImageData,
+  Video: Unused,
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => new Unused(),
+  createVideoElement: () => new Unused(),
+  fetch: (...args) => fetch(...args),
+  readFile: () => Promise.reject(new Error("No filesystem in a worker")),
+});
+
+const loadModel = async () => {
+  faceapi.env.setEnv(workerEnvironment());
+  const gpu = await faceapi.tf.setBackend("webgl").catch(() => false);
+  if (!gpu) await faceapi.tf.setBackend("cpu");
+  await faceapi.tf.ready();
+
+  const response = await fetch(weightsUrl);
+  if (!response.ok) throw new Error(`Failed to load face model (${response.status})`);
+  const specs = manifest.flatMap((group) => group.weights);
+  faceapi.nets.tinyFaceDetector.loadFromWeightMap(faceapi.tf.io.decodeWeights(await response.arrayBuffer(), specs));
+};
+
+let ready = null;
+
+const detect = async ({ width, height, data }) => {
+  ready = ready || loadModel();
+  await ready;
+  const input = faceapi.tf.browser.fromPixels({ data: new Uint8Array(data), width, height });
+  try {
+    const options = new faceapi.TinyFaceDetectorOptions({ inputSize: INPUT_SIZE, scoreThreshold: MIN_SCORE });
+    const detections = await faceapi.detectAllFaces(input, options);
+    return detections.map(({ box, score }) => ({ x: box.x, y: box.y, width: box.width, height: box.height, score }));
+  } finally {
+    input.dispose();
+  }
+};
+
+self.addEventListener("message", async (e) => {
+  const { id, type } = e.data || {};
+  if (!id || type !== "detect") return;
+  try {
+    self.postMessage({ id, type: "done", faces: await detect(e.data) });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+});
@@ -1,11 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),
-    tailwindcss()],
+    tailwindcss(),
+    // Installable, offline-capable app: every build asset (including the pdf.js
+    // worker, fonts and CMaps) is precached and tool routes fall back to index.html
+    VitePWA({
+      registerType: 'autoUpdate',
+      injectRegister: 'auto',
+      includeAssets: ['vite.svg'],
+      manifest: {
+        name: 'Image & PDF Toolkit',
+        short_name: 'PDF Toolkit',
+        description: 'Reduce images and merge, split, compress and protect PDFs in your browser',
+        theme_color: '#4f46e5',
+        background_color: '#ffffff',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+          { src: 'pwa-icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,wasm,bin,bcmap,pfb,ttf}'],
+        // the legacy pdf.js worker alone is ~2 MB
+        maximumFileSizeToCacheInBytes: 8 * 1024 * 1024,
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/api\//],
+      },
+    })],
+  resolve: {
+    // @react-pdf-viewer imports bare 'pdfjs-dist'; point it at the legacy build
+    // the rest of the app uses, so only one pdf.js (and one worker) ships
+    alias: [{ find: /^pdfjs-dist$/, replacement: 'pdfjs-dist/legacy/build/pdf.js' }],
+  },
     server: {
     proxy: {
       '/api': {